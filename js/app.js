@@ -7,41 +7,95 @@
 import * as THREE from 'three';
 import Earth from './earth.js';
 import HandTracker from './hands.js';
+import { LandmarkReplay } from './replay.js';
+import GestureBindings, { ACTIONS, TRIGGERS, parseTrigger } from './bindings.js';
+import GlobePicker from './picker.js';
+import GlobeStateMachine from './interaction.js';
+import CanvasCapture from './capture.js';
+import { getSubsolarPoint } from './sun.js';
+import { SKY_QUALITY } from './sky.js';
+import { BODIES, BODY_ORDER, nextBodyId } from './bodies.js';
+import HandOccluder, { HAND_CONNECTIONS } from './occlusion.js';
 
 // ---- DOM ----
 const loadingScreen = document.getElementById('loading-screen');
 const progressBar = document.getElementById('progress-bar');
 const loadingStatus = document.getElementById('loading-status');
+const offlineStatus = document.getElementById('offline-status');
 const cameraError = document.getElementById('camera-error');
 const instructions = document.getElementById('instructions');
 const hud = document.getElementById('hud');
 const fpsCounter = document.getElementById('fps-counter');
+const trackingCounter = document.getElementById('tracking-counter');
 const canvas = document.getElementById('render-canvas');
 const video = document.getElementById('webcam');
 const dismissBtn = document.getElementById('dismiss-instructions');
 const toggleInstructionsBtn = document.getElementById('toggle-instructions');
+const pickReadout = document.getElementById('pick-readout');
+const bodyBtn = document.getElementById('body-btn');
 
 // ---- Three.js ----
 let scene, camera, renderer;
+let orthoCamera, perspCamera; // `camera` is whichever is active
 let videoTexture, videoMesh;
+let ambientLight, dirLight, fillLight;
 
 // ---- Modules ----
 const earth = new Earth();
 const handTracker = new HandTracker();
+let picker = null; // GlobePicker, created once the camera exists
+let occluder = null; // HandOccluder, created with the scene
+let capture = null; // CanvasCapture, created with the renderer
 
 // ---- State ----
 let currentEarthScale = 1.0;
 let lastFrameTime = performance.now();
+let lastRenderTime = null; // For the per-frame delta time
 let frameCount = 0;
 let fps = 0;
-let handsAreActive = false; // Track if any hand is currently controlling
+const users = new Map();  // Person id → { id, earth, handZ, active } (see People)
+const globes = [earth];   // Loaded globes, `earth` first; multi-user mode adds more
+const globeStates = new Map(); // Globe → GlobeStateMachine (see Globe State)
+
+// A saved number, keeping a saved 0 (`|| fallback` would drop it)
+function storedFloat(key, fallback) {
+    const value = parseFloat(localStorage.getItem(key));
+    return Number.isNaN(value) ? fallback : value;
+}
 
 const settings = {
     followHand: true,
     enableZoom: true,
     enableManualRotate: true,
+    throwAndCatch: localStorage.getItem('throwAndCatch') === 'true', // Flick to throw (classic mode, opt-in)
+    useDepth: localStorage.getItem('useDepth') === 'true',       // Hand distance moves the globe in z
+    perspective: localStorage.getItem('perspective') === 'true', // Closer = bigger
+    handOcclusion: localStorage.getItem('handOcclusion') === 'true', // Fingers in front of the globe (extra pass)
+    mirror: localStorage.getItem('mirror') !== 'false', // Selfie view
+    cameraId: localStorage.getItem('cameraId') || '', // '' = default front camera
+    cameraResolution: localStorage.getItem('cameraResolution') || '1280x720', // See CAMERA_RESOLUTIONS
+    cameraFps: parseInt(localStorage.getItem('cameraFps')) || 30,
     enableAutoRotate: true,
+    rotationMode: localStorage.getItem('rotationMode') || 'free', // 'free' | 'spin'
+    controlMode: localStorage.getItem('controlMode') || 'classic', // 'classic' | 'twoHand'
+    maxPeople: parseInt(localStorage.getItem('maxPeople')) || 1, // Each gets their own globe
+    // 'auto' | 'tasks' | 'legacy' (see backends.js); ?backend= overrides, applied at startup
+    trackingBackend: new URLSearchParams(location.search).get('backend') || localStorage.getItem('trackingBackend') || 'auto',
     showSkeleton: false,
+    showFilterOverlay: false,
+    showMarkers: true,
+    body: BODIES[localStorage.getItem('body')] ? localStorage.getItem('body') : 'earth',
+    realSun: false,
+    skyQuality: localStorage.getItem('skyQuality') || 'medium',
+    showOrbits: false,
+    orbitTimeScale: parseFloat(localStorage.getItem('orbitTimeScale')) || 1,
+    cloudDrift: storedFloat('cloudDriftSpeed', 0.048), // rad/s; 0 (no drift) is a valid choice
+    fixedStep: localStorage.getItem('fixedStep') === 'true', // Constant physics step (recordings)
+    captureHideHud: localStorage.getItem('captureHideHud') !== 'false', // Clean videos
+    captureDuration: parseInt(localStorage.getItem('captureDuration')) || 30, // Max video length (s)
+    sunHourOffset: 0,   // Time scrub (hours from now)
+    sunDayOffset: 0,    // Date scrub (days from today)
+    pickMode: false,
     enableDebugLogs: false,
     earthOffsetY: parseInt(localStorage.getItem('earthOffsetY')) || 120,
     earthScale: parseFloat(localStorage.getItem('earthScale')) || 0.392 // Default scale (Minimum)
@@ -53,8 +107,58 @@ const settings = {
 function setProgress(pct) {
     if (progressBar) progressBar.style.width = Math.min(100, pct) + '%';
 }
-function setStatus(msg) {
-    if (loadingStatus) loadingStatus.textContent = msg;
+// target 'offline' writes the offline-readiness line under the progress text
+function setStatus(msg, target = 'progress') {
+    const el = target === 'offline' ? offlineStatus : loadingStatus;
+    if (el) el.textContent = msg;
+}
+
+// ============================================
+// Offline (Service Worker)
+// ============================================
+// Self-hosted Tasks backend (scripts/fetch-assets.sh); the legacy fallback needs the network
+const TRACKING_ASSETS = ['vendor/tasks-vision/', 'models/hand_landmarker.task'];
+
+async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        setStatus('⚠️ Offline mode unavailable in this browser', 'offline');
+        return;
+    }
+
+    setStatus('📦 Preparing offline mode...', 'offline');
+    try {
+        await navigator.serviceWorker.register('sw.js');
+        // Active only once the app shell is precached
+        const registration = await navigator.serviceWorker.ready;
+        const status = await requestCacheStatus(registration.active);
+        setStatus(describeOfflineStatus(status), 'offline');
+        if (status.missing.length) console.log('📦 Not cached for offline use:', status.missing);
+    } catch (err) {
+        console.warn('⚠️ Service worker registration failed:', err.message);
+        setStatus('⚠️ Offline mode unavailable', 'offline');
+    }
+}
+
+// Ask the service worker which assets it holds (see sw.js)
+function requestCacheStatus(worker) {
+    return new Promise((resolve) => {
+        const onMessage = (e) => {
+            if (!e.data || e.data.type !== 'status') return;
+            navigator.serviceWorker.removeEventListener('message', onMessage);
+            resolve(e.data);
+        };
+        navigator.serviceWorker.addEventListener('message', onMessage);
+        worker.postMessage({ type: 'status' });
+    });
+}
+
+// Offline-ready only when hand tracking can run without the network too
+function describeOfflineStatus({ missing }) {
+    const trackingCached = !missing.some(url => TRACKING_ASSETS.some(asset => url.startsWith(asset)));
+    if (!navigator.onLine) {
+        return trackingCached ? '📴 Offline — running from cache' : '📴 Offline — no hand tracking (files not installed)';
+    }
+    return trackingCached ? '✅ Offline ready' : '⚠️ Not offline ready: hand tracking files missing (scripts/fetch-assets.sh)';
 }
 
 // ============================================
@@ -65,8 +169,14 @@ function initThreeJS() {
     const w = window.innerWidth;
     const h = window.innerHeight;
 
-    camera = new THREE.OrthographicCamera(-w / 2, w / 2, h / 2, -h / 2, 0.1, 5000);
-    camera.position.z = 1000;
+    orthoCamera = new THREE.OrthographicCamera(-w / 2, w / 2, h / 2, -h / 2, 0.1, 5000);
+    orthoCamera.position.z = CAMERA_DISTANCE;
+
+    // Same framing as the orthographic camera on the z = 0 plane (1 unit = 1 px)
+    perspCamera = new THREE.PerspectiveCamera(perspectiveFov(h), w / h, 0.1, 5000);
+    perspCamera.position.z = CAMERA_DISTANCE;
+
+    camera = settings.perspective ? perspCamera : orthoCamera;
 
     renderer = new THREE.WebGLRenderer({ canvas, alpha: true, antialias: true });
     renderer.setSize(w, h);
@@ -75,11 +185,13 @@ function initThreeJS() {
     renderer.outputColorSpace = THREE.SRGBColorSpace;
 
     // Lighting
-    scene.add(new THREE.AmbientLight(0xffffff, 0.8));
-    const dirLight = new THREE.DirectionalLight(0xffffff, 1.5);
+    ambientLight = new THREE.AmbientLight(0xffffff, 0.8);
+    scene.add(ambientLight);
+    dirLight = new THREE.DirectionalLight(0xffffff, 1.5);
     dirLight.position.set(5, 3, 7);
     scene.add(dirLight);
-    const fillLight = new THREE.DirectionalLight(0x4fc3f7, 0.4);
+    scene.add(dirLight.target);
+    fillLight = new THREE.DirectionalLight(0x4fc3f7, 0.4);
     fillLight.position.set(-5, -2, 3);
     scene.add(fillLight);
 
@@ -91,13 +203,47 @@ function initThreeJS() {
 function onResize() {
     const w = window.innerWidth;
     const h = window.innerHeight;
-    camera.left = -w / 2; camera.right = w / 2;
-    camera.top = h / 2; camera.bottom = -h / 2;
-    camera.updateProjectionMatrix();
+    orthoCamera.left = -w / 2; orthoCamera.right = w / 2;
+    orthoCamera.top = h / 2; orthoCamera.bottom = -h / 2;
+    orthoCamera.updateProjectionMatrix();
+    perspCamera.fov = perspectiveFov(h);
+    perspCamera.aspect = w / h;
+    perspCamera.updateProjectionMatrix();
     renderer.setSize(w, h);
     if (videoMesh) updateVideoMeshSize();
 }
 
+// ============================================
+// Depth & Perspective
+// ============================================
+const CAMERA_DISTANCE = 1000;
+const DEPTH_RANGE = 600;   // World units per unit of relative hand depth
+const MAX_DEPTH_Z = 500;   // Keep the globe well clear of the camera
+
+function perspectiveFov(h) {
+    return 2 * Math.atan((h / 2) / CAMERA_DISTANCE) * 180 / Math.PI;
+}
+
+// Hand depth (1 = reference distance, see hands.js) → world z (towards camera = +)
+function depthToZ(depth) {
+    if (!settings.useDepth || !depth) return 0;
+    return THREE.MathUtils.clamp((1 - depth) * DEPTH_RANGE, -MAX_DEPTH_Z, MAX_DEPTH_Z);
+}
+
+// Screen px → world units on the plane at z, so objects stay under the hand
+// (perspective shrinks the view towards the camera; orthographic doesn't)
+function screenToWorldScale(z) {
+    return camera.isPerspectiveCamera ? (CAMERA_DISTANCE - z) / CAMERA_DISTANCE : 1;
+}
+
+function setPerspective(enabled) {
+    settings.perspective = enabled;
+    localStorage.setItem('perspective', enabled);
+    camera = enabled ? perspCamera : orthoCamera;
+    if (picker) picker.camera = camera;
+    updateVideoMeshSize();
+}
+
 // ============================================
 // Webcam Video Background
 // ============================================
@@ -111,7 +257,6 @@ function setupVideoBackground() {
     videoMesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), mat);
     videoMesh.renderOrder = -1;
     videoMesh.position.z = -500;
-    videoMesh.scale.x = -1; // Mirror
     scene.add(videoMesh);
     updateVideoMeshSize();
 }
@@ -124,27 +269,104 @@ function updateVideoMeshSize() {
     let pw, ph;
     if (sa > va) { pw = sw; ph = sw / va; }
     else { ph = sh; pw = sh * va; }
-    videoMesh.scale.set(-pw, ph, 1);
+    // Behind the z = 0 plane, perspective needs a bigger plane to fill the screen
+    const k = screenToWorldScale(videoMesh.position.z);
+    videoMesh.scale.set((settings.mirror ? -pw : pw) * k, ph * k, 1); // Negative x = selfie mirror
+}
+
+// Landmark x (0-1 across the camera image) → px from the screen centre,
+// matching the video: mirrored by default so the view acts like a mirror
+function landmarkToScreenX(x, width = window.innerWidth) {
+    return (settings.mirror ? 0.5 - x : x - 0.5) * width;
+}
+
+// +1 mirrored, -1 not: flips on-screen directions derived from raw landmarks
+function mirrorSign() {
+    return settings.mirror ? 1 : -1;
 }
 
 // ============================================
 // Camera Access
 // ============================================
+const CAMERA_RESOLUTIONS = {
+    '640x480': [640, 480],
+    '1280x720': [1280, 720],
+    '1920x1080': [1920, 1080],
+};
+const CAMERA_RETRY_MS = 2000; // Reconnect attempts after the camera is lost
+
+let cameraStream = null;
+let cameraRecovering = false; // A lost camera is being reconnected
+let cameraRetryTimer = null;  // Next reconnect attempt
+let cameraRetryInFlight = false;
+let cameraStarting = Promise.resolve(); // startCamera calls run one at a time
+
+function cameraConstraints(deviceId) {
+    const [width, height] = CAMERA_RESOLUTIONS[settings.cameraResolution] || CAMERA_RESOLUTIONS['1280x720'];
+    return {
+        video: {
+            ...(deviceId ? { deviceId: { exact: deviceId } } : { facingMode: 'user' }),
+            width: { ideal: width },
+            height: { ideal: height },
+            frameRate: { ideal: settings.cameraFps },
+        },
+        audio: false,
+    };
+}
+
+// Open the chosen camera (or the default one if it's gone) into the video
+// element, replacing the current stream. Throws if no camera can be opened.
+// Calls are queued: two getUserMedia streams at once would leak one.
+function startCamera() {
+    const start = cameraStarting.catch(() => {}).then(openCamera);
+    cameraStarting = start;
+    return start;
+}
+
+async function openCamera() {
+    // Some cameras can't be opened twice, even at another resolution
+    stopCamera();
+
+    let stream;
+    try {
+        stream = await navigator.mediaDevices.getUserMedia(cameraConstraints(settings.cameraId));
+    } catch (err) {
+        if (!settings.cameraId || err.name === 'NotAllowedError') throw err;
+        console.warn(`⚠️ Chosen camera unavailable (${err.name}), using the default`);
+        stream = await navigator.mediaDevices.getUserMedia(cameraConstraints(null));
+    }
+
+    cameraStream = stream;
+    const track = stream.getVideoTracks()[0];
+    track.addEventListener('ended', handleCameraLost); // Unplugged, or taken by another app
+
+    video.srcObject = stream;
+    await video.play();
+    await new Promise(r => {
+        if (video.readyState >= 2) r();
+        else video.addEventListener('loadeddata', r, { once: true });
+    });
+    if (!videoMesh) setupVideoBackground();
+
+    const { frameRate } = track.getSettings();
+    console.log(`📷 Camera ready: ${video.videoWidth}x${video.videoHeight} @ ${Math.round(frameRate || 0)} fps (${track.label})`);
+}
+
+function stopCamera() {
+    if (!cameraStream) return;
+    for (const track of cameraStream.getTracks()) {
+        track.removeEventListener('ended', handleCameraLost);
+        track.stop();
+    }
+    cameraStream = null;
+    video.srcObject = null;
+}
+
 async function requestCamera() {
     setStatus('Requesting camera access...');
     setProgress(15);
     try {
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: { width: { ideal: 1280 }, height: { ideal: 720 }, facingMode: 'user' },
-            audio: false,
-        });
-        video.srcObject = stream;
-        await video.play();
-        await new Promise(r => {
-            if (video.readyState >= 2) r();
-            else video.addEventListener('loadeddata', r, { once: true });
-        });
-        console.log(`📷 Camera ready: ${video.videoWidth}x${video.videoHeight}`);
+        await startCamera();
         setProgress(30);
         setStatus('Camera ready ✓');
         return true;
@@ -154,151 +376,738 @@ async function requestCamera() {
     }
 }
 
+// No camera at startup: show the error screen and keep trying (button,
+// or a camera being plugged in). Resolves once a camera works.
+function waitForCameraRetry() {
+    loadingScreen.classList.add('hidden');
+    cameraError.classList.remove('hidden');
+
+    return new Promise((resolve) => {
+        const retryBtn = document.getElementById('btn-camera-retry');
+        let busy = false;
+
+        const retry = async () => {
+            if (busy) return;
+            busy = true;
+            const ok = await requestCamera();
+            busy = false;
+            if (!ok) return;
+
+            retryBtn.removeEventListener('click', retry);
+            navigator.mediaDevices.removeEventListener('devicechange', retry);
+            cameraError.classList.add('hidden');
+            loadingScreen.classList.remove('hidden');
+            resolve(true);
+        };
+
+        retryBtn.addEventListener('click', retry);
+        if (navigator.mediaDevices) navigator.mediaDevices.addEventListener('devicechange', retry);
+    });
+}
+
+// The live track ended mid-session: drop the hands and reconnect
+function handleCameraLost() {
+    if (cameraRecovering) return;
+    cameraRecovering = true;
+    console.warn('⚠️ Camera lost, reconnecting...');
+    stopCamera();
+    handleHandsLost();
+    setCameraStatus('📷 Camera lost — reconnecting...');
+    cameraRetryTimer = setTimeout(retryLostCamera, CAMERA_RETRY_MS);
+}
+
+// From the retry timer or a devicechange; only one attempt runs at a time
+async function retryLostCamera() {
+    clearTimeout(cameraRetryTimer);
+    cameraRetryTimer = null;
+    if (!cameraRecovering || cameraRetryInFlight) return;
+
+    cameraRetryInFlight = true;
+    try {
+        await startCamera();
+    } catch (err) {
+        cameraRetryTimer = setTimeout(retryLostCamera, CAMERA_RETRY_MS);
+        return;
+    } finally {
+        cameraRetryInFlight = false;
+    }
+    cameraRecovering = false;
+    setCameraStatus(null);
+    refreshCameraList();
+    console.log('📷 Camera recovered');
+}
+
+function setCameraStatus(msg) {
+    const badge = document.getElementById('camera-status');
+    if (!badge) return;
+    badge.textContent = msg || '';
+    badge.classList.toggle('hidden', !msg);
+}
+
+// ============================================
+// Camera Settings
+// ============================================
+async function refreshCameraList() {
+    const select = document.getElementById('select-camera');
+    if (!select || !navigator.mediaDevices) return;
+
+    // Labels are only filled in once camera permission is granted
+    const devices = (await navigator.mediaDevices.enumerateDevices())
+        .filter(d => d.kind === 'videoinput');
+    select.innerHTML = '';
+    devices.forEach((d, i) => select.add(new Option(d.label || `Camera ${i + 1}`, d.deviceId)));
+
+    const track = cameraStream && cameraStream.getVideoTracks()[0];
+    select.value = (track && track.getSettings().deviceId) || settings.cameraId || '';
+}
+
+// Hot-swap camera / resolution / frame rate; reverts if the new one fails
+async function applyCameraSettings(changes) {
+    const previous = {
+        cameraId: settings.cameraId,
+        cameraResolution: settings.cameraResolution,
+        cameraFps: settings.cameraFps,
+    };
+    Object.assign(settings, changes);
+    handleHandsLost();
+
+    try {
+        await startCamera();
+    } catch (err) {
+        console.error('❌ Camera switch failed:', err);
+        Object.assign(settings, previous);
+        try {
+            await startCamera();
+        } catch (restoreErr) {
+            handleCameraLost();
+        }
+    }
+
+    localStorage.setItem('cameraId', settings.cameraId);
+    localStorage.setItem('cameraResolution', settings.cameraResolution);
+    localStorage.setItem('cameraFps', settings.cameraFps);
+    syncCameraUI();
+}
+
+function syncCameraUI() {
+    document.getElementById('select-camera-resolution').value = settings.cameraResolution;
+    document.getElementById('select-camera-fps').value = settings.cameraFps;
+    refreshCameraList();
+}
+
+function setupCameraUI() {
+    document.getElementById('select-camera').addEventListener('change', (e) => {
+        applyCameraSettings({ cameraId: e.target.value });
+    });
+    document.getElementById('select-camera-resolution').addEventListener('change', (e) => {
+        applyCameraSettings({ cameraResolution: e.target.value });
+    });
+    document.getElementById('select-camera-fps').addEventListener('change', (e) => {
+        applyCameraSettings({ cameraFps: parseInt(e.target.value) });
+    });
+
+    const mirrorToggle = document.getElementById('toggle-mirror');
+    mirrorToggle.checked = settings.mirror;
+    mirrorToggle.addEventListener('change', (e) => {
+        settings.mirror = e.target.checked;
+        localStorage.setItem('mirror', settings.mirror);
+        updateVideoMeshSize();
+        handleHandsLost(); // Screen positions flip: re-anchor on the next frame
+    });
+
+    // Cameras plugged in / out: keep the list current, and reconnect fast
+    if (navigator.mediaDevices) {
+        navigator.mediaDevices.addEventListener('devicechange', () => {
+            refreshCameraList();
+            if (cameraRecovering) retryLostCamera();
+        });
+    }
+
+    syncCameraUI();
+}
+
 // ============================================
 // Hand Event Handlers
 // ============================================
+// Classic mode: which hand does what comes from the gesture bindings
+// (see bindings.js). Defaults: LEFT hand → position, RIGHT hand → scale + rotation.
+// Two-hand mode: the globe sits between both palms (handleBothHands).
+// Every handler acts on one person's globe (`earth` below is user.earth);
+// in single-user mode that is always the primary globe.
+
+function handleLeftHand(data, person) {
+    handleHand('left', data, data.isRightHandDetected, person);
+}
+
+function handleRightHand(data, person) {
+    handleHand('right', data, data.isLeftHandDetected, person);
+}
 
-// LEFT HAND → Position ONLY
-function handleLeftHand(data) {
-    if (!handsAreActive) {
-        handsAreActive = true;
-        // earth.setVisible(true); // Don't show immediately, wait for strict check below
+function handleHand(hand, data, isOtherHandPresent, person) {
+    const user = getUser(person);
+    if (!user) return; // Their globe is still loading
+    const { earth } = user;
+    user.active = true;
+    user.handZ[hand] = depthToZ(data.depth);
+
+    if (settings.controlMode === 'twoHand') {
+        // One hand alone lets go of the ball (momentum persists)
+        if (!isOtherHandPresent) {
+            stateOf(earth).release();
+            clearPick(user);
+        }
+    } else if (hand === bindings.anchorHand) {
+        handleAnchorHand(data, isOtherHandPresent, user);
+    } else {
+        handleControlHand(hand, data, isOtherHandPresent, user);
+    }
+
+    updateSkeleton(data.landmarks, hand, user);
+    updateOccluder(data.landmarks, hand, user);
+    updateFilterOverlay(data, hand, user);
+}
+
+// ANCHOR HAND → Position + Visibility
+function handleAnchorHand(data, isOtherHandPresent, user) {
+    const { earth } = user;
+    const isShowing = bindings.get('setVisible') === 'none' || isTriggerActive(bindings.get('setVisible'), user.id);
+    const state = stateOf(earth);
+    const hold = holdPosition(data, user);
+
+    // Thrown: the globe flies on its own until an open hand gets under it
+    if (state.state === 'thrown') {
+        if (isShowing && canCatch(earth, hold)) state.catch();
+        else return;
+    }
+
+    if (settings.followHand) earth.setPosition(hold.x, hold.y, hold.z);
+
+    // ---- GESTURE LOGIC (see interaction.js for the states) ----
+    // 1. "Show" gesture (default: open hand) or the other hand present
+    //    (user is inspecting) -> HOLD; "Brake" gesture (default: fist) -> BRAKE
+    // 2. Otherwise -> RELEASE: the globe withdraws after a short grace time,
+    //    keeping its rotation momentum for when it reappears
+    // 3. Open hand flicked -> THROW (see Throw & Catch)
+    if (!isOtherHandPresent) clearPick(user);
+
+    if (isShowing && tryThrow(data, user, hold)) return;
+
+    if (!isShowing && !isOtherHandPresent) {
+        state.release();
+        return;
     }
 
-    if (!settings.followHand) return;
+    state.hold({ brake: isTriggerActive(bindings.get('stopRotation'), user.id) });
+}
 
+// Where the anchor palm holds the globe (world units)
+function holdPosition(data, user) {
+    const { earth } = user;
     const sw = window.innerWidth;
     const sh = window.innerHeight;
 
-    // Mirror X for selfie view
-    const x = (0.5 - data.palmCenter.x) * sw;
-    const y = -(data.palmCenter.y - 0.5) * sh;
+    // Mirror X for selfie view; moves with the hand in depth if enabled
+    const z = user.handZ[bindings.anchorHand];
+    const k = screenToWorldScale(z);
+    const x = landmarkToScreenX(data.palmCenter.x, sw) * k;
+    const y = -(data.palmCenter.y - 0.5) * sh * k;
 
     // Earth sits directly on the palm (Dynamic Offset)
     // baseRadius of Earth allows us to keep the bottom of the sphere at the offset distance
     const baseRadius = 100; // From earth.js (desiredSize = 200 / 2)
-    const dynamicOffset = settings.earthOffsetY + (earth.currentScale * baseRadius);
-    earth.setPosition(x, y + dynamicOffset, 0);
-
-    // ---- GESTURE LOGIC ----
-    // 1. Single Hand (Rights Hand NOT active) + Fist -> Hide Earth
-    // 2. Two Hands (Right Hand active) + Fist -> Stop Rotation
-
-    // Requirements (Refined v2):
-    // 1. Left Hand Open (>=4 fingers) -> VISIBLE (Normal)
-    // 2. Left Hand Closed (<4 fingers):
-    //    a. If Right Hand Detected -> VISIBLE + BRAKE (Stop Rotation)
-    //    b. If Right Hand NOT Detected -> HIDDEN + PERSIST (Keep Rotation Momentum)
-
-    // Store global states
-    isLeftFist = data.isFist;
-    isLeftHandOpen = data.isOpenHand; // 4 fingers open
-    const isRightHandPresent = data.isRightHandDetected;
-
-    if (isLeftHandOpen) {
-        // CASE 1: Normal Visibility
-        earth.setVisible(true);
-        earth.stopBraking(); // Ensure normal physics (resume auto-rotate/low friction)
-        // Rotation continues normally via inertia in earth.update()
-    } else {
-        // CASE 2: Left Hand Closed
-        if (isRightHandPresent) {
-            // CASE 2a: Brake Mode (Right hand is there, user likely wants to stop/inspect)
-            earth.setVisible(true); // Keep visible
-            earth.stopRotation();   // INSTANTLY stop all rotation (velocity = 0)
-            earth.startBraking();   // Trigger smooth deceleration (High Friction) - keeps auto-rotate paused
-        } else {
-            // CASE 2b: Hide Mode (Right hand gone, user withdrawing)
-            earth.setVisible(false); // Hide
-            earth.stopBraking();     // Ensure we don't carry braking state if we hide
-            // DO NOT stop rotation. Let it persist so it spins when reappearing.
-        }
+    const dynamicOffset = settings.earthOffsetY * k + (earth.currentScale * baseRadius);
+    return { x, y: y + dynamicOffset, z };
+}
+
+// CONTROL HAND → Scale + Rotation (whatever is bound to it)
+function handleControlHand(hand, data, isAnchorPresent, user) {
+    const { earth } = user;
+    // Safety: without the anchor hand the globe withdraws (after the lost-hand
+    // grace time; rotation persists so it spins if the anchor returns)
+    if (!isAnchorPresent) {
+        stateOf(earth).lose();
+        return;
+    }
+
+    // If earth is hidden (e.g. anchor hand is a fist) the control hand does nothing
+    if (!earth.isVisible()) {
+        clearPick(user);
+        return;
     }
 
+    // ---- POINT & PICK (replaces scale/rotate while enabled; primary globe only) ----
+    if (settings.pickMode && earth === globes[0]) {
+        // Index fingertip → screen space (same mapping as updateSkeleton)
+        const tip = data.landmarks[8];
+        picker.update(landmarkToScreenX(tip.x), -(tip.y - 0.5) * window.innerHeight);
+        return;
+    }
 
-    updateSkeleton(data.landmarks, 'left');
+    // ---- TWO-HAND SPREAD SCALING (only when bound: two open palms are common) ----
+    if (settings.enableZoom && bindings.scalesBySpread() && isTriggerActive('both:spread', user.id)) {
+        applySpreadScale(user.id);
+    }
+
+    // ---- ROTATION ----
+    const isScaling = settings.enableZoom && isTriggerActive(bindings.get('setGestureScale'), user.id);
+    const isBraking = isTriggerActive(bindings.get('stopRotation'), user.id);
+
+    if (settings.enableManualRotate && bindings.handOf('addRotation') === hand && !isScaling && !isBraking) {
+        if (settings.rotationMode === 'spin') applySpinRotation(data, earth);
+        else applyFreeRotation(data, earth);
+    }
 }
 
-let isLeftFist = false;       // Track left hand brake state
-let isLeftHandOpen = false;   // Track left hand open state
+// Palms around a small globe come closer than split-detection allows
+const TWO_HAND_MIN_SEPARATION = 0.1;
 
-// RIGHT HAND → Scale + Rotation ONLY (never called with single hand)
-function handleRightHand(data) {
-    // Safety: If Left Hand is missing, Earth MUST be hidden.
-    // (Addresses issue where switching to Right-Only left Earth visible)
-    if (!data.isLeftHandDetected) {
-        if (earth.isVisible()) {
-            earth.setVisible(false);
-            // We allow rotation to persist (don't stop) so it spins if left hand returns
-        }
-        return;
+// TWO-HAND MODE: hold the globe like a ball
+// Palms sit on either side of the globe: their midpoint positions it,
+// their distance is its diameter, and turning the line between them rolls it.
+function handleBothHands(data, person) {
+    if (settings.controlMode !== 'twoHand') return;
+    const user = getUser(person);
+    if (!user) return;
+    const { earth } = user;
+
+    const BALL_FILL = 0.8;          // Globe diameter as a share of the palm gap (hands have thickness)
+    const TWIST_SPEED = 1.25;       // ≈ 1:1 with the hands after damping
+    const TWIST_DEAD_ZONE = 0.015;  // radians
+
+    const sw = window.innerWidth;
+    const sh = window.innerHeight;
+    const lx = landmarkToScreenX(data.leftPalm.x, sw);
+    const ly = -(data.leftPalm.y - 0.5) * sh;
+    const rx = landmarkToScreenX(data.rightPalm.x, sw);
+    const ry = -(data.rightPalm.y - 0.5) * sh;
+
+    // Between the palms in depth too
+    const z = (depthToZ(data.leftDepth) + depthToZ(data.rightDepth)) / 2;
+    const k = screenToWorldScale(z);
+
+    stateOf(earth).hold();
+    clearPick(user);
+
+    if (settings.followHand) earth.setPosition((lx + rx) / 2 * k, (ly + ry) / 2 * k, z);
+
+    if (settings.enableZoom) {
+        const baseRadius = 100; // From earth.js (desiredSize = 200 / 2)
+        const gap = Math.hypot(rx - lx, ry - ly) * k;
+        earth.setScale((gap * BALL_FILL / 2) / baseRadius);
+        syncScaleUI(earth);
+    }
+
+    if (settings.enableManualRotate && Math.abs(data.twistDelta) > TWIST_DEAD_ZONE) {
+        earth.addRotation(0, 0, data.twistDelta * mirrorSign() * TWIST_SPEED);
+    }
+}
+
+function setControlMode(mode) {
+    settings.controlMode = mode;
+    localStorage.setItem('controlMode', mode);
+    handTracker.setMinHandSeparation(mode === 'twoHand' ? TWO_HAND_MIN_SEPARATION : undefined);
+    resetHands(); // Roles changed: drop the Earth until the hands show again
+}
+
+const ROT_DEAD_ZONE = 0.003;
+
+// SPIN MODE (Horizontal Swipe -> Turbo Spin)
+// Requirements:
+// 1. "One Direction" -> Always add positive velocity regardless of swipe dir
+// 2. "Thousand times" -> High sensitivity
+function applySpinRotation(data, earth) {
+    // Check Horizontal Delta
+    if (Math.abs(data.rotationDelta.x) > ROT_DEAD_ZONE) {
+        // "One Direction" Logic: Always spin positive (West-to-East)
+        // Use Math.abs() so back-and-forth swipes just pump up the speed
+        const speedMultiplier = 150; // Much faster!
+        const addedVelocity = Math.abs(data.rotationDelta.x) * speedMultiplier;
+
+        earth.addRotation(0, addedVelocity);
+    }
+}
+
+// FREE MODE (Directional)
+// Horizontal swipe spins in the swiped direction, vertical swipe tilts,
+// wrist roll rotates around the view axis. Earth clamps tilt at the poles.
+function applyFreeRotation(data, earth) {
+    const SPIN_SPEED = 20;
+    const TILT_SPEED = 4;
+    const ROLL_SPEED = 1.25;      // ≈ 1:1 with the wrist after damping
+    const ROLL_DEAD_ZONE = 0.02;  // radians, ignores landmark jitter
+
+    // Landmarks are un-mirrored: in the mirrored view moving right on screen lowers x
+    const dx = Math.abs(data.rotationDelta.x) > ROT_DEAD_ZONE ? -data.rotationDelta.x * mirrorSign() : 0;
+    const dy = Math.abs(data.rotationDelta.y) > ROT_DEAD_ZONE ? data.rotationDelta.y : 0;
+    const roll = Math.abs(data.rollDelta) > ROLL_DEAD_ZONE ? data.rollDelta * mirrorSign() : 0;
+
+    if (dx || dy || roll) {
+        earth.addRotation(dy * TILT_SPEED, dx * SPIN_SPEED, roll * ROLL_SPEED);
+    }
+}
+
+// A person's hands are gone -> their globe withdraws after the grace time.
+// Without a person id: nobody holds anything any more (forgets every user).
+function handleHandsLost(person) {
+    const lost = person === undefined ? [...users.values()] : [users.get(person)].filter(Boolean);
+
+    for (const user of lost) {
+        user.active = false;
+        stateOf(user.earth).lose();
+        clearPick(user);
+        // Rotation is NOT stopped: "Hidden + Persist" so it keeps spinning when hands return
     }
 
-    // strict check: if earth is hidden (e.g. Left Hand is present but Fist)
-    // right hand does nothing (except maybe Brake, but that's handled in handleLeftHand)
-    if (!earth.isVisible()) return;
+    if (person === undefined) {
+        users.clear();
+        for (const globe of globes) stateOf(globe).lose();
+        if (picker) picker.clear();
+        if (occluder) occluder.clear();
+        clearSkeleton();
+        clearFilterOverlay();
+    } else {
+        const keys = handKeys(person);
+        if (occluder) occluder.clear(keys);
+        clearSkeleton(keys);
+        clearFilterOverlay(keys);
+    }
+}
+
+// Roles or input changed: every globe withdraws now and people regroup
+function resetHands() {
+    handleHandsLost();
+    for (const globe of globes) stateOf(globe).reset();
+}
+
+// ============================================
+// Throw & Catch
+// ============================================
+// Classic mode: flicking the open anchor hand lets go of the globe with
+// the palm's velocity. It flies under gravity, bounces off the screen
+// edges (earth.js) and keeps spinning; an open anchor hand that gets
+// under it catches it again (interaction.js: held ⇄ thrown).
+const THROW_SPEED = 1600;       // Palm speed (px/s) that counts as a flick
+const THROW_COOLDOWN_MS = 500;  // No throw right after the globe is (re)taken
+const CATCH_DELAY_MS = 300;     // The throwing hand can't catch its own throw at once
+const CATCH_RANGE = 1.5;        // Catch within this many globe radii of the hold point
+
+// Palm velocity of a tracked hand in world units/s (null if unknown)
+function palmVelocity(handId, z) {
+    const hand = handTracker.getTrackedHands().find(h => h.id === handId);
+    if (!hand) return null;
+    const k = screenToWorldScale(z);
+    return new THREE.Vector3(
+        -hand.velocity.x * window.innerWidth * mirrorSign() * k,
+        -hand.velocity.y * window.innerHeight * k,
+        0
+    );
+}
+
+function tryThrow(data, user, hold) {
+    if (!settings.throwAndCatch || settings.controlMode !== 'classic' || settings.pickMode) return false;
+    if (data.handId === null || data.handId === undefined) return false;
+
+    const state = stateOf(user.earth);
+    if (!state.isHeld() || performance.now() - state.enteredAt < THROW_COOLDOWN_MS) return false;
 
+    const velocity = palmVelocity(data.handId, hold.z);
+    if (!velocity || velocity.length() < THROW_SPEED) return false;
 
-    let isPinching = false;
+    if (settings.enableDebugLogs) console.log(`🥏 Throw at ${Math.round(velocity.length())} px/s`);
+    return state.throw(velocity);
+}
 
-    // ---- PINCH-TO-ZOOM (Proportional) ----
-    // ---- ABSOLUTE PINCH SCALING ----
-    if (settings.enableZoom && data.isZooming) {
-        // data.isZooming is true when the STRICT gesture is valid
-        // data.scaleFactor is 0.0 (closed) to 1.0 (open)
-        earth.setGestureScale(data.scaleFactor);
+function canCatch(globe, hold) {
+    const state = stateOf(globe);
+    if (performance.now() - state.enteredAt < CATCH_DELAY_MS) return false;
+    const { x, y } = globe.currentPosition;
+    return Math.hypot(hold.x - x, hold.y - y) <= CATCH_RANGE * globe.getWorldRadius();
+}
 
-        isPinching = true;
+// Thrown globes bounce off the screen edges at their own depth
+function updateThrowBounds(globe) {
+    const k = screenToWorldScale(globe.currentPosition.z);
+    globe.setBounds(window.innerWidth / 2 * k, window.innerHeight / 2 * k);
+}
 
-        // Update settings and slider directly
-        const newScale = earth.targetScale;
-        settings.earthScale = newScale;
+function setThrowAndCatch(enabled) {
+    settings.throwAndCatch = enabled;
+    localStorage.setItem('throwAndCatch', enabled);
+    for (const globe of globes) stateOf(globe).catch(); // Thrown globes stop where they are
+}
+
+// ============================================
+// Globe State (hidden → appearing → held ⇄ braking / thrown → withdrawing)
+// ============================================
+const GLOBE_STATE_LABELS = {
+    hidden: 'Hidden',
+    appearing: 'Appearing',
+    held: 'Held',
+    braking: 'Braking',
+    thrown: 'Thrown',
+    withdrawing: 'Withdrawing',
+};
 
-        const scaleSlider = document.getElementById('range-scale');
-        if (scaleSlider) scaleSlider.value = newScale;
-        updateRadiusDisplay(newScale);
-    } else if (settings.enableZoom && !data.isZooming) {
-        // When gesture ends/invalid, just ensure we save current state if needed
-        // (Logic is stateless now, so stopping just leaves it at last scale)
+function stateOf(globe) {
+    let state = globeStates.get(globe);
+    if (!state) {
+        state = new GlobeStateMachine(globe);
+        state.onStateChange = (to, from) => {
+            if (settings.enableDebugLogs) console.log(`🌍 Globe ${globes.indexOf(globe) + 1}: ${from} → ${to}`);
+            updateGlobeStateUI();
+        };
+        globeStates.set(globe, state);
     }
+    return state;
+}
+
+function updateGlobeStateUI() {
+    const el = document.getElementById('globe-state');
+    if (!el) return;
+
+    const states = globes.map(globe => stateOf(globe).state);
+    el.textContent = globes.length > 1
+        ? `🌍 ${states.map((state, i) => `${i + 1}: ${GLOBE_STATE_LABELS[state]}`).join(' · ')}`
+        : `🌍 ${GLOBE_STATE_LABELS[states[0]]}`;
+    el.classList.toggle('on', states.some(state => state !== 'hidden'));
+    el.classList.toggle('off', states.every(state => state === 'hidden'));
+}
+
+// ============================================
+// People (one globe per person)
+// ============================================
+// Multi-user mode: HandTracker groups hands into people (see people.js)
+// and tags every event with the person's id. Each person holds a globe
+// of their own with independent position, scale and rotation. The
+// primary globe (`earth`) also carries markers, orbits and picking;
+// extra globes are loaded in the background and mirror its settings.
+let globesLoading = Promise.resolve();
+
+// The person's state, claiming a free globe on first sight (null while none is free)
+function getUser(person = 0) {
+    let user = users.get(person);
+    if (user) return user;
+
+    const taken = new Set([...users.values()].map(u => u.earth));
+    const globe = globes.find(g => !taken.has(g));
+    if (!globe) return null;
+
+    user = { id: person, earth: globe, handZ: { left: 0, right: 0 }, active: false };
+    users.set(person, user);
+    return user;
+}
+
+// Skeleton / occluder / overlay keys of a person's hands
+function handKey(person, hand) {
+    return `${person}:${hand}`;
+}
+
+function handKeys(person) {
+    return [handKey(person, 'left'), handKey(person, 'right')];
+}
+
+// HUD name of a person: the number of the globe they hold (as in the globe state)
+function personLabel(person) {
+    const user = users.get(person);
+    return user ? `P${globes.indexOf(user.earth) + 1}` : `P${person + 1}`;
+}
 
-    // ---- ROTATION (Horizontal Swipe -> Turbo Spin) ----
-    // Requirements:
-    // 1. "One Direction" -> Always add positive velocity regardless of swipe dir
-    // 2. "Thousand times" -> High sensitivity
-    if (settings.enableManualRotate && !isPinching && !isLeftFist) {
-        const ROT_DEAD_ZONE = 0.003;
+// Someone left for good: their globe is free for the next visitor
+function handlePersonLost(person) {
+    handleHandsLost(person);
+    users.delete(person);
+}
 
-        // Check Horizontal Delta
-        if (Math.abs(data.rotationDelta.x) > ROT_DEAD_ZONE) {
-            // "One Direction" Logic: Always spin positive (West-to-East)
-            // Use Math.abs() so back-and-forth swipes just pump up the speed
-            const speedMultiplier = 150; // Much faster!
-            const addedVelocity = Math.abs(data.rotationDelta.x) * speedMultiplier;
+// Picking only happens on the primary globe
+function clearPick(user) {
+    if (picker && user.earth === earth) picker.clear();
+}
 
-            earth.addRotation(0, addedVelocity);
+function holdsPrimaryGlobe(person = 0) {
+    const user = users.get(person);
+    return !!user && user.earth === earth;
+}
+
+// Load globes until there is one per person (in the background)
+function ensureGlobes(count) {
+    globesLoading = globesLoading.then(async () => {
+        while (globes.length < count) {
+            const globe = new Earth();
+            await globe.setBody(earth.body.id);
+            globe.setSkyQuality(earth.sky.quality);
+            globe.setCloudDrift(settings.cloudDrift);
+            globe.setFixedStep(settings.fixedStep);
+            globe.setPositionHalfLife(earth.positionHalfLife);
+            globe.setAutoRotation(settings.enableAutoRotate);
+            globe.setScale(settings.earthScale);
+            globe.setDayNight(settings.realSun);
+            globe.setSunDirection(earth.sunDirection);
+            await globe.load(scene);
+            globes.push(globe);
+            updateGlobeStateUI();
+            console.log(`🌍 Globe ${globes.length} ready`);
         }
+    }).catch((err) => console.error('❌ Failed to load an extra globe:', err));
+    return globesLoading;
+}
+
+function setMaxPeople(count) {
+    settings.maxPeople = count;
+    localStorage.setItem('maxPeople', count);
+    resetHands(); // People are regrouped from scratch
+    handTracker.setMaxPeople(count);
+    ensureGlobes(count);
+}
+
+function isGlobeHeld(globe) {
+    for (const user of users.values()) {
+        if (user.earth === globe && user.active) return true;
+    }
+    return false;
+}
+
+// The scale slider follows the primary globe
+function syncScaleUI(globe) {
+    if (globe !== earth) return;
+    settings.earthScale = earth.targetScale;
+    const scaleSlider = document.getElementById('range-scale');
+    if (scaleSlider) scaleSlider.value = settings.earthScale;
+    updateRadiusDisplay(settings.earthScale);
+}
+
+// ============================================
+// Gesture Bindings
+// ============================================
+const bindings = new GestureBindings().load();
+
+function isHandDetected(hand, person) {
+    const tracker = handTracker.getPerson(person);
+    if (!tracker) return false;
+    return hand === 'left' ? tracker.leftHandDetected : tracker.rightHandDetected;
+}
+
+// Is the trigger ("<hand>:<gesture>") currently held (by this person)?
+function isTriggerActive(trigger, person) {
+    if (!trigger || trigger === 'none') return false;
+    const tracker = handTracker.getPerson(person);
+    if (!tracker) return false;
+
+    // Spread is live while both palms are open
+    if (trigger === 'both:spread') {
+        return tracker.leftHandDetected && tracker.rightHandDetected &&
+            tracker.gestures.isActive('left', 'openHand') &&
+            tracker.gestures.isActive('right', 'openHand');
     }
 
-    updateSkeleton(data.landmarks, 'right');
+    const { hand, gesture } = parseTrigger(trigger);
+    if (gesture === 'palm' || gesture === 'swipe') return isHandDetected(hand, person);
+    return tracker.gestures.isActive(hand, gesture);
+}
+
+function setupGestureBindings() {
+    // A short pinch of the control hand "clicks" in pick mode
+    handTracker.gestures.on('gesturestart', (e) => {
+        if (settings.pickMode && e.gesture === 'pinch' && e.hand !== bindings.anchorHand && holdsPrimaryGlobe(e.person)) {
+            picker.click();
+        }
+    });
+
+    // Snapshot binding (default: right peace sign), from any person
+    handTracker.gestures.on('gesturestart', (e) => {
+        if (`${e.hand}:${e.gesture}` === bindings.get('takeSnapshot')) takeSnapshot();
+    });
+
+    // Continuous gesture values (pinch factor) drive the scale binding
+    handTracker.gestures.on('gesturechange', (e) => {
+        if (`${e.hand}:${e.gesture}` === bindings.get('setGestureScale') && e.data) {
+            applyGestureScale(e.data.pinchFactor, e.person);
+        }
+    });
+
+    const log = (phase) => (e) => {
+        if (settings.enableDebugLogs) {
+            const who = e.person === undefined ? '' : `P${e.person} `;
+            console.log(`✋ ${who}${e.hand} ${e.gesture} ${phase} (${e.confidence.toFixed(2)})`);
+        }
+    };
+    handTracker.gestures.on('gesturestart', log('start'));
+    handTracker.gestures.on('gestureend', log('end'));
+}
+
+// ---- ABSOLUTE PINCH SCALING ----
+// factor is 0.0 (closed) to 1.0 (open)
+function applyGestureScale(factor, person) {
+    const user = users.get(person ?? 0);
+    if (!user) return;
+    const { earth } = user;
+
+    // Zoom only while the Earth is held by the anchor hand (and not picking);
+    // two-hand mode scales from the palm gap instead
+    if (!settings.enableZoom || settings.pickMode || settings.controlMode === 'twoHand' || !isHandDetected(bindings.anchorHand, person) || !earth.isVisible()) return;
+
+    earth.setGestureScale(factor);
+    syncScaleUI(earth); // Update settings and slider directly
 }
 
-function handleHandsLost() {
-    // If ANY hands are lost, we re-evaluate, but usually this means NO hands
-    // If no hands -> Hide
-    handsAreActive = false;
-    isLeftFist = false;
-    isLeftHandOpen = false;
-    earth.setVisible(false);
-    // If all hands are lost, we probably want to reset/stop or just let it hide?
-    // User said: "logic is invalid... checking if screen has right hand..."
-    // But this function `handleHandsLost` means NO hands are detected at all.
-    // If no hands, we likely want to just hide and maybe stop or persist?
-    // "Persist" seems to be the preference for "hiding", so let's removing stopRotation here
-    // to match "Hidden + Persist" behavior when hands leave the frame completely.
-    // earth.stopRotation(); // REMOVED to allow persistence on total exit
+// Distance between both palms → scale factor
+function applySpreadScale(person) {
+    const MIN_SPREAD = 0.2;  // Palms nearly touching
+    const MAX_SPREAD = 0.7;  // Arms wide apart
 
-    clearSkeleton();
+    const tracker = handTracker.getPerson(person);
+    const dx = tracker.leftPalm.x - tracker.rightPalm.x;
+    const dy = tracker.leftPalm.y - tracker.rightPalm.y;
+    const spread = Math.sqrt(dx * dx + dy * dy);
+
+    const clamped = Math.max(MIN_SPREAD, Math.min(MAX_SPREAD, spread));
+    applyGestureScale((clamped - MIN_SPREAD) / (MAX_SPREAD - MIN_SPREAD), person);
+}
+
+function setupBindingsUI() {
+    const container = document.getElementById('bindings-list');
+
+    for (const [action, { label, triggers }] of Object.entries(ACTIONS)) {
+        const row = document.createElement('div');
+        row.className = 'setting-row';
+
+        const labelEl = document.createElement('label');
+        labelEl.textContent = label;
+        labelEl.htmlFor = `binding-${action}`;
+
+        const select = document.createElement('select');
+        select.id = `binding-${action}`;
+        select.className = 'params-select';
+        for (const trigger of triggers) {
+            select.add(new Option(TRIGGERS[trigger], trigger));
+        }
+        // Rejected (e.g. a control action on the anchor hand): show the binding in use
+        select.addEventListener('change', (e) => {
+            if (!bindings.set(action, e.target.value)) syncBindingsUI();
+        });
+
+        row.append(labelEl, select);
+        container.appendChild(row);
+    }
+
+    document.getElementById('btn-bindings-swap').addEventListener('click', () => bindings.swapHands());
+    document.getElementById('btn-bindings-spread').addEventListener('click', () => bindings.applyPreset('twoHandScale'));
+    document.getElementById('btn-bindings-reset').addEventListener('click', () => bindings.applyPreset('default'));
+
+    bindings.onChange = () => {
+        syncBindingsUI();
+        resetHands(); // Roles changed: drop the Earth until the new anchor hand shows
+    };
+    syncBindingsUI();
+}
+
+function syncBindingsUI() {
+    for (const action of Object.keys(ACTIONS)) {
+        const select = document.getElementById(`binding-${action}`);
+        if (!select) continue;
+        select.value = bindings.get(action);
+        // Grey out triggers that would clash with the current anchor hand
+        for (const option of select.options) option.disabled = !bindings.canSet(action, option.value);
+    }
 }
 
 // ============================================
@@ -341,6 +1150,20 @@ function setupUI() {
         settings.followHand = e.target.checked;
     });
 
+    document.getElementById('toggle-depth').checked = settings.useDepth;
+    document.getElementById('toggle-depth').addEventListener('change', (e) => {
+        settings.useDepth = e.target.checked;
+        localStorage.setItem('useDepth', settings.useDepth);
+    });
+
+    document.getElementById('toggle-occlusion').checked = settings.handOcclusion;
+    document.getElementById('toggle-occlusion').addEventListener('change', (e) => setHandOcclusion(e.target.checked));
+
+    document.getElementById('toggle-occlusion-mask').addEventListener('change', (e) => occluder.setShowMask(e.target.checked));
+
+    document.getElementById('toggle-perspective').checked = settings.perspective;
+    document.getElementById('toggle-perspective').addEventListener('change', (e) => setPerspective(e.target.checked));
+
     document.getElementById('toggle-zoom').checked = settings.enableZoom;
     document.getElementById('toggle-zoom').addEventListener('change', (e) => {
         settings.enableZoom = e.target.checked;
@@ -351,10 +1174,57 @@ function setupUI() {
         settings.enableManualRotate = e.target.checked;
     });
 
+    document.getElementById('toggle-throw').checked = settings.throwAndCatch;
+    document.getElementById('toggle-throw').addEventListener('change', (e) => setThrowAndCatch(e.target.checked));
+
+    const fixedStepToggle = document.getElementById('toggle-fixed-step');
+    fixedStepToggle.checked = settings.fixedStep;
+    fixedStepToggle.addEventListener('change', (e) => {
+        settings.fixedStep = e.target.checked;
+        localStorage.setItem('fixedStep', settings.fixedStep);
+        for (const globe of globes) globe.setFixedStep(settings.fixedStep);
+    });
+
+    const rotationModeSelect = document.getElementById('select-rotation-mode');
+    rotationModeSelect.value = settings.rotationMode;
+    rotationModeSelect.addEventListener('change', (e) => {
+        settings.rotationMode = e.target.value;
+        localStorage.setItem('rotationMode', settings.rotationMode);
+    });
+
+    const controlModeSelect = document.getElementById('select-control-mode');
+    controlModeSelect.value = settings.controlMode;
+    controlModeSelect.addEventListener('change', (e) => setControlMode(e.target.value));
+    if (settings.controlMode === 'twoHand') handTracker.setMinHandSeparation(TWO_HAND_MIN_SEPARATION);
+
+    const peopleSelect = document.getElementById('select-max-people');
+    peopleSelect.value = String(settings.maxPeople);
+    peopleSelect.addEventListener('change', (e) => setMaxPeople(parseInt(e.target.value, 10)));
+
+    const backendSelect = document.getElementById('select-tracking-backend');
+    backendSelect.value = settings.trackingBackend;
+    backendSelect.addEventListener('change', (e) => {
+        settings.trackingBackend = e.target.value;
+        localStorage.setItem('trackingBackend', settings.trackingBackend);
+    });
+
     document.getElementById('toggle-auto-rotate').checked = settings.enableAutoRotate;
     document.getElementById('toggle-auto-rotate').addEventListener('change', (e) => {
         settings.enableAutoRotate = e.target.checked;
-        earth.setAutoRotation(e.target.checked);
+        for (const globe of globes) globe.setAutoRotation(e.target.checked);
+    });
+
+    document.getElementById('toggle-markers').checked = settings.showMarkers;
+    document.getElementById('toggle-markers').addEventListener('change', (e) => {
+        settings.showMarkers = e.target.checked;
+        earth.markers.group.visible = settings.showMarkers;
+    });
+
+    document.getElementById('toggle-pick').checked = settings.pickMode;
+    document.getElementById('toggle-pick').addEventListener('change', (e) => {
+        settings.pickMode = e.target.checked;
+        picker.setEnabled(settings.pickMode);
+        if (!settings.pickMode) pickReadout.classList.add('hidden');
     });
 
     document.getElementById('toggle-skeleton').checked = settings.showSkeleton;
@@ -399,78 +1269,610 @@ function setupUI() {
             const val = parseFloat(e.target.value);
             settings.earthScale = val;
             localStorage.setItem('earthScale', val);
-            earth.setScale(val);
+            for (const globe of globes) globe.setScale(val);
             updateRadiusDisplay(val);
         });
     }
 }
 
+// ============================================
+// Snapshot & Video Capture
+// ============================================
+// The render canvas is the whole composite (video + globe + skeleton),
+// so capture.js saves it as is; the HUD is HTML on top and never shows.
+const snapshotBtn = document.getElementById('snapshot-btn');
+const videoBtn = document.getElementById('video-btn');
+const captureIndicator = document.getElementById('capture-indicator');
+const captureFlash = document.getElementById('capture-flash');
+const SNAPSHOT_COOLDOWN_MS = 2000; // A held peace sign takes one picture
+const CAPTURE_MESSAGE_MS = 4000;   // How long a capture error stays up
+let captureMessageTimer = null;
+let lastSnapshotTime = -Infinity;
+
+async function takeSnapshot() {
+    const now = performance.now();
+    if (now - lastSnapshotTime < SNAPSHOT_COOLDOWN_MS) return;
+    lastSnapshotTime = now;
+
+    try {
+        await capture.snapshot();
+        flashScreen();
+        console.log('📷 Snapshot saved');
+    } catch (err) {
+        console.error('❌ Snapshot failed:', err);
+    }
+}
+
+function flashScreen() {
+    captureFlash.classList.add('on');
+    // Next frame: drop the class so the flash fades out
+    requestAnimationFrame(() => requestAnimationFrame(() => captureFlash.classList.remove('on')));
+}
+
+// Start (after the countdown) or stop a video
+function toggleVideo() {
+    if (capture.isBusy()) {
+        capture.stop();
+        return;
+    }
+    capture.maxDuration = settings.captureDuration;
+    try {
+        capture.record();
+    } catch (err) {
+        console.warn('⚠️', err.message);
+        showCaptureMessage(`⚠️ ${err.message}`);
+    }
+}
+
+// A short notice in the capture badge (while idle)
+function showCaptureMessage(msg) {
+    clearTimeout(captureMessageTimer);
+    captureIndicator.textContent = msg;
+    captureIndicator.classList.remove('hidden');
+    captureMessageTimer = setTimeout(() => {
+        if (!capture.isBusy()) captureIndicator.classList.add('hidden');
+    }, CAPTURE_MESSAGE_MS);
+}
+
+function formatRecordingTime(seconds) {
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function updateCaptureUI(state) {
+    const busy = state !== 'idle';
+    if (busy) clearTimeout(captureMessageTimer);
+    hud.classList.toggle('capture-hidden', busy && settings.captureHideHud);
+    captureIndicator.classList.toggle('hidden', !busy);
+    captureIndicator.classList.toggle('countdown', state === 'countdown');
+    captureIndicator.classList.toggle('recording', state === 'recording');
+    videoBtn.classList.toggle('active', busy);
+    videoBtn.textContent = busy ? '⏹' : '🎬';
+    videoBtn.title = busy ? 'Stop recording' : 'Record a video';
+}
+
+function setupCaptureUI() {
+    capture.onStateChange = updateCaptureUI;
+    capture.onError = (err) => showCaptureMessage(`⚠️ Recording failed: ${err.message}`);
+    capture.onTick = (value) => {
+        captureIndicator.textContent = capture.state === 'countdown'
+            ? value
+            : `REC ${formatRecordingTime(value)} / ${formatRecordingTime(capture.maxDuration)}`;
+    };
+
+    snapshotBtn.addEventListener('click', takeSnapshot);
+    videoBtn.addEventListener('click', toggleVideo);
+    captureIndicator.addEventListener('click', () => capture.stop());
+    if (!CanvasCapture.isRecordingSupported()) {
+        videoBtn.disabled = true;
+        videoBtn.title = 'Video recording is not supported in this browser';
+    }
+
+    const hideHudToggle = document.getElementById('toggle-capture-hide-hud');
+    hideHudToggle.checked = settings.captureHideHud;
+    hideHudToggle.addEventListener('change', (e) => {
+        settings.captureHideHud = e.target.checked;
+        localStorage.setItem('captureHideHud', settings.captureHideHud);
+    });
+
+    const durationSelect = document.getElementById('select-capture-duration');
+    durationSelect.value = settings.captureDuration;
+    durationSelect.addEventListener('change', (e) => {
+        settings.captureDuration = parseInt(e.target.value);
+        localStorage.setItem('captureDuration', settings.captureDuration);
+    });
+}
+
+// ============================================
+// Landmark Recording & Replay
+// ============================================
+const replayPlayBtn = document.getElementById('btn-replay-play');
+const replayStepBtn = document.getElementById('btn-replay-step');
+const replayLiveBtn = document.getElementById('btn-replay-live');
+const replayLoopToggle = document.getElementById('toggle-replay-loop');
+
+const recordBtn = document.getElementById('btn-record');
+
+// Manual stop and the recorder's frame limit both end here
+function finishLandmarkRecording() {
+    if (handTracker.recorder.isRecording) handTracker.stopRecording();
+    handTracker.recorder.download();
+    recordBtn.textContent = '⏺ Record';
+    recordBtn.classList.remove('active');
+}
+
+function setupReplayUI() {
+    handTracker.recorder.onAutoStop = finishLandmarkRecording;
+    recordBtn.addEventListener('click', () => {
+        if (handTracker.recorder.isRecording) {
+            finishLandmarkRecording();
+        } else {
+            handTracker.startRecording();
+            recordBtn.textContent = '⏹ Stop';
+            recordBtn.classList.add('active');
+        }
+    });
+
+    document.getElementById('input-replay-file').addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) loadReplay(() => LandmarkReplay.fromFile(file));
+        e.target.value = ''; // Allow re-loading the same file
+    });
+
+    replayPlayBtn.addEventListener('click', () => {
+        if (!handTracker.replay) return;
+        handTracker.replay.togglePlay();
+        updateReplayButtons();
+    });
+
+    replayStepBtn.addEventListener('click', () => {
+        if (!handTracker.replay) return;
+        handTracker.replay.step();
+        updateReplayButtons();
+    });
+
+    replayLiveBtn.addEventListener('click', () => {
+        handTracker.clearReplaySource();
+        resetHands();
+        updateReplayButtons();
+    });
+
+    replayLoopToggle.addEventListener('change', (e) => {
+        if (handTracker.replay) handTracker.replay.setLoop(e.target.checked);
+    });
+}
+
+async function loadReplay(createReplay) {
+    try {
+        const replay = await createReplay();
+        replay.setLoop(replayLoopToggle.checked);
+        replay.onEnded = updateReplayButtons;
+        handTracker.setReplaySource(replay);
+        resetHands();
+        replay.play();
+    } catch (err) {
+        console.error('❌ Failed to load replay:', err);
+    }
+    updateReplayButtons();
+}
+
+function updateReplayButtons() {
+    const replay = handTracker.replay;
+    replayPlayBtn.disabled = !replay;
+    replayStepBtn.disabled = !replay;
+    replayLiveBtn.disabled = !replay;
+    replayPlayBtn.textContent = replay && replay.isPlaying ? '⏸ Pause' : '▶ Play';
+}
+
+// ============================================
+// Sun Lighting (Astronomical Mode)
+// ============================================
+const sunDirection = new THREE.Vector3();
+
+function getSunDate() {
+    const offsetMs = (settings.sunDayOffset * 24 + settings.sunHourOffset) * 3600000;
+    return new Date(Date.now() + offsetMs);
+}
+
+// Real mode: key light comes from the subsolar point of the (scrubbed) UTC time
+function updateSunLighting() {
+    if (!settings.realSun || !earth.isLoaded() || !earth.body.realSun) return;
+
+    const { lat, lon } = getSubsolarPoint(getSunDate());
+    // Every globe is turned its own way: each gets its own Sun direction
+    for (const globe of globes.slice(1)) {
+        if (globe.isLoaded()) globe.setSunDirection(globe.latLonToWorldDirection(lat, lon, sunDirection));
+    }
+    earth.latLonToWorldDirection(lat, lon, sunDirection);
+    earth.setSunDirection(sunDirection);
+
+    dirLight.target.position.copy(earth.group.position);
+    dirLight.position.copy(earth.group.position).addScaledVector(sunDirection, 1000);
+}
+
+function setRealSun(enabled) {
+    settings.realSun = enabled;
+    for (const globe of globes) globe.setDayNight(enabled);
+
+    // Deep night side needs a dark ambient; classic mode keeps the studio look
+    ambientLight.intensity = enabled ? 0.08 : 0.8;
+    dirLight.intensity = enabled ? 2.5 : 1.5;
+    fillLight.visible = !enabled;
+
+    // Bodies without an ephemeris keep the studio Sun direction (terminator only)
+    if (!enabled || !earth.body.realSun) {
+        dirLight.position.set(5, 3, 7);
+        dirLight.target.position.set(0, 0, 0);
+        for (const globe of globes) globe.setSunDirection(dirLight.position);
+    }
+    updateSunTimeDisplay();
+}
+
+function updateSunTimeDisplay() {
+    const el = document.getElementById('sun-time-value');
+    if (el) el.textContent = getSunDate().toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
+function setupSunUI() {
+    const toggle = document.getElementById('toggle-real-sun');
+    toggle.checked = settings.realSun;
+    toggle.addEventListener('change', (e) => setRealSun(e.target.checked));
+
+    const hourSlider = document.getElementById('range-sun-hours');
+    hourSlider.addEventListener('input', (e) => {
+        settings.sunHourOffset = parseFloat(e.target.value);
+        updateSunTimeDisplay();
+    });
+
+    const daySlider = document.getElementById('range-sun-days');
+    daySlider.addEventListener('input', (e) => {
+        settings.sunDayOffset = parseInt(e.target.value, 10);
+        updateSunTimeDisplay();
+    });
+
+    document.getElementById('btn-sun-now').addEventListener('click', () => {
+        settings.sunHourOffset = 0;
+        settings.sunDayOffset = 0;
+        hourSlider.value = 0;
+        daySlider.value = 0;
+        updateSunTimeDisplay();
+    });
+
+    const qualitySelect = document.getElementById('select-sky-quality');
+    qualitySelect.value = earth.sky.quality;
+    qualitySelect.addEventListener('change', (e) => {
+        settings.skyQuality = e.target.value;
+        localStorage.setItem('skyQuality', settings.skyQuality);
+        for (const globe of globes) globe.setSkyQuality(settings.skyQuality);
+    });
+
+    const driftSlider = document.getElementById('range-cloud-drift');
+    driftSlider.value = settings.cloudDrift;
+    driftSlider.addEventListener('input', (e) => {
+        settings.cloudDrift = parseFloat(e.target.value);
+        localStorage.setItem('cloudDriftSpeed', settings.cloudDrift);
+        for (const globe of globes) globe.setCloudDrift(settings.cloudDrift);
+    });
+
+    // Keep the clock readout ticking while the panel is open
+    setInterval(updateSunTimeDisplay, 30000);
+    updateSunTimeDisplay();
+}
+
+// ============================================
+// Orbits (Moon & Satellites)
+// ============================================
+function updateOrbitTimeDisplay() {
+    const el = document.getElementById('orbit-time-value');
+    if (el) el.textContent = earth.orbits.getTime().toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+}
+
+function setupOrbitsUI() {
+    earth.orbits.setTimeScale(settings.orbitTimeScale);
+
+    const toggle = document.getElementById('toggle-orbits');
+    toggle.checked = settings.showOrbits;
+    toggle.addEventListener('change', (e) => {
+        settings.showOrbits = e.target.checked;
+        earth.orbits.setEnabled(settings.showOrbits);
+    });
+
+    document.getElementById('toggle-orbit-moon').addEventListener('change', (e) => {
+        earth.orbits.setShowMoon(e.target.checked);
+    });
+
+    const scaleSelect = document.getElementById('select-time-scale');
+    scaleSelect.value = String(settings.orbitTimeScale);
+    scaleSelect.addEventListener('change', (e) => {
+        settings.orbitTimeScale = parseFloat(e.target.value);
+        localStorage.setItem('orbitTimeScale', settings.orbitTimeScale);
+        earth.orbits.setTimeScale(settings.orbitTimeScale);
+    });
+
+    document.getElementById('btn-orbit-now').addEventListener('click', () => {
+        earth.orbits.setTime(new Date());
+        updateOrbitTimeDisplay();
+    });
+
+    document.getElementById('input-tle-file').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow re-loading the same file
+        if (!file) return;
+        try {
+            const count = await earth.orbits.loadFile(file);
+            if (count === 0) console.warn(`⚠️ No valid TLEs in ${file.name}`);
+        } catch (err) {
+            console.error('❌ Failed to load TLE file:', err);
+        }
+    });
+
+    document.getElementById('btn-tle-clear').addEventListener('click', () => earth.orbits.clearSatellites());
+
+    // Fast time scales need a lively clock readout
+    setInterval(updateOrbitTimeDisplay, 500);
+    updateOrbitTimeDisplay();
+}
+
+// ============================================
+// Point & Pick
+// ============================================
+function formatLatLon(lat, lon) {
+    const ns = lat >= 0 ? 'N' : 'S';
+    const ew = lon >= 0 ? 'E' : 'W';
+    return `${Math.abs(lat).toFixed(2)}°${ns}, ${Math.abs(lon).toFixed(2)}°${ew}`;
+}
+
+function handlePick({ lat, lon, marker }) {
+    pickReadout.textContent = `📍 ${formatLatLon(lat, lon)}${marker && marker.label ? ` — ${marker.label}` : ''}`;
+    pickReadout.classList.remove('hidden');
+}
+
 function updateRadiusDisplay(scale) {
     const radiusEl = document.getElementById('radius-value');
     if (radiusEl) {
-        // Earth radius ~ 6371 km
-        const radius = Math.round(scale * 6371);
+        // Scale 1 = the active body's real radius
+        const radius = Math.round(earth.getRadiusKm(scale));
         radiusEl.textContent = radius.toLocaleString();
     }
 }
 
+// ============================================
+// Celestial Bodies
+// ============================================
+async function switchBody(id) {
+    if (earth.switching || id === earth.body.id) return;
+
+    picker.clear();
+    pickReadout.classList.add('hidden');
+    // Extra globes switch along; the primary decides whether it worked
+    const [switched] = await Promise.all(globes.map(globe => globe.setBody(id)));
+    if (!switched) {
+        syncBodyUI(); // Load failed: still on the previous body
+        return;
+    }
+
+    settings.body = id;
+    localStorage.setItem('body', id);
+    setRealSun(settings.realSun); // Re-aim the Sun for the new body
+    syncBodyUI();
+    console.log(`🪐 Holding ${earth.body.name}`);
+}
+
+function setupBodyUI() {
+    const select = document.getElementById('select-body');
+    for (const id of BODY_ORDER) {
+        select.add(new Option(`${BODIES[id].icon} ${BODIES[id].name}`, id));
+    }
+    select.addEventListener('change', (e) => switchBody(e.target.value));
+    bodyBtn.addEventListener('click', () => switchBody(nextBodyId(earth.body.id)));
+    syncBodyUI();
+}
+
+function syncBodyUI() {
+    const body = earth.body;
+    bodyBtn.textContent = body.icon;
+    bodyBtn.title = `${body.name} — click for ${BODIES[nextBodyId(body.id)].name}`;
+    document.getElementById('select-body').value = body.id;
+    updateRadiusDisplay(settings.earthScale);
+}
+
 // ============================================
 // Skeleton Visualization
 // ============================================
 let skeletonGroup = new THREE.Group();
-const skeletons = { left: null, right: null };
+const skeletons = {}; // By handKey(person, hand)
 
 function initSkeleton() {
     scene.add(skeletonGroup);
 }
 
-function updateSkeleton(landmarks, handType) {
+function updateSkeleton(landmarks, handType, user) {
     if (!settings.showSkeleton || !landmarks) return;
+    const key = handKey(user.id, handType);
 
     // Create line geometry if not exists
-    if (!skeletons[handType]) {
+    if (!skeletons[key]) {
         const material = new THREE.LineBasicMaterial({
             color: handType === 'left' ? 0x00ff00 : 0xff0000,
             linewidth: 2
         });
         const geometry = new THREE.BufferGeometry();
-        skeletons[handType] = new THREE.LineSegments(geometry, material);
-        skeletonGroup.add(skeletons[handType]);
+        skeletons[key] = new THREE.LineSegments(geometry, material);
+        skeletonGroup.add(skeletons[key]);
     }
 
     const points = [];
-    const connections = [
-        [0, 1], [1, 2], [2, 3], [3, 4], // Thumb
-        [0, 5], [5, 6], [6, 7], [7, 8], // Index
-        [0, 9], [9, 10], [10, 11], [11, 12], // Middle
-        [0, 13], [13, 14], [14, 15], [15, 16], // Ring
-        [0, 17], [17, 18], [18, 19], [19, 20], // Pinky
-        [5, 9], [9, 13], [13, 17] // Palm
-    ];
+    const connections = HAND_CONNECTIONS;
 
-    const sw = window.innerWidth;
-    const sh = window.innerHeight;
+    // Drawn at the hand's depth, so the globe hides the bones behind it
+    const z = user.handZ[handType];
+    const k = screenToWorldScale(z);
+    const sw = window.innerWidth * k;
+    const sh = window.innerHeight * k;
 
     connections.forEach(([i, j]) => {
         const p1 = landmarks[i];
         const p2 = landmarks[j];
 
         // Map normalized coordinates to screen space (same as handleLeftHand)
-        // x: (0.5 - p.x) * sw
+        // x: landmarkToScreenX(p.x)
         // y: -(p.y - 0.5) * sh
         points.push(
-            (0.5 - p1.x) * sw, -(p1.y - 0.5) * sh, 0,
-            (0.5 - p2.x) * sw, -(p2.y - 0.5) * sh, 0
+            landmarkToScreenX(p1.x, sw), -(p1.y - 0.5) * sh, z,
+            landmarkToScreenX(p2.x, sw), -(p2.y - 0.5) * sh, z
         );
     });
 
-    skeletons[handType].geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
-    skeletons[handType].visible = true;
+    skeletons[key].geometry.setAttribute('position', new THREE.Float32BufferAttribute(points, 3));
+    skeletons[key].visible = true;
+}
+
+function clearSkeleton(keys = Object.keys(skeletons)) {
+    for (const key of keys) {
+        if (skeletons[key]) skeletons[key].visible = false;
+    }
+}
+
+// ============================================
+// Hand Occlusion
+// ============================================
+const LANDMARK_DEPTH_SCALE = 1; // MediaPipe z is in frame-width units, like x
+
+// Where the hand's wrist sits in z. Without depth tracking there is no real
+// distance, so hands are assumed to be just in front of the globe (holding it).
+function occluderBaseZ(hand, user) {
+    if (settings.useDepth) return user.handZ[hand];
+    const baseRadius = 100; // From earth.js (desiredSize = 200 / 2)
+    return user.earth.currentPosition.z + user.earth.currentScale * baseRadius + 1;
+}
+
+function updateOccluder(landmarks, hand, user) {
+    if (!settings.handOcclusion || !landmarks) return;
+
+    const baseZ = occluderBaseZ(hand, user);
+    const k = screenToWorldScale(baseZ);
+    const sw = window.innerWidth * k;
+    const sh = window.innerHeight * k;
+
+    // Same mapping as the skeleton; landmark z < 0 is closer to the camera than the wrist
+    const points = landmarks.map(p => ({
+        x: landmarkToScreenX(p.x, sw),
+        y: -(p.y - 0.5) * sh,
+        z: baseZ - p.z * sw * LANDMARK_DEPTH_SCALE,
+    }));
+    occluder.update(handKey(user.id, hand), points);
+}
+
+function setHandOcclusion(enabled) {
+    settings.handOcclusion = enabled;
+    localStorage.setItem('handOcclusion', enabled);
+    occluder.setEnabled(enabled);
+}
+
+// ============================================
+// Filter Overlay (raw vs filtered landmarks)
+// ============================================
+const filterOverlay = {}; // By handKey(person, hand)
+
+function createLandmarkPoints(color) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(21 * 3), 3));
+    const points = new THREE.Points(geometry, new THREE.PointsMaterial({
+        color,
+        size: 6,
+        sizeAttenuation: false,
+        depthTest: false,
+    }));
+    points.renderOrder = 5;
+    points.frustumCulled = false;
+    skeletonGroup.add(points);
+    return points;
+}
+
+function setLandmarkPoints(points, landmarks) {
+    const position = points.geometry.attributes.position;
+    const sw = window.innerWidth;
+    const sh = window.innerHeight;
+    landmarks.forEach((p, i) => position.setXYZ(i, landmarkToScreenX(p.x, sw), -(p.y - 0.5) * sh, 0));
+    position.needsUpdate = true;
+    points.visible = true;
+}
+
+function updateFilterOverlay(data, hand, user) {
+    if (!settings.showFilterOverlay || !data.rawLandmarks) return;
+    const key = handKey(user.id, hand);
+
+    if (!filterOverlay[key]) {
+        filterOverlay[key] = {
+            raw: createLandmarkPoints(0xff5252),
+            filtered: createLandmarkPoints(0x00e676),
+        };
+    }
+    setLandmarkPoints(filterOverlay[key].raw, data.rawLandmarks);
+    setLandmarkPoints(filterOverlay[key].filtered, data.landmarks);
+}
+
+function clearFilterOverlay(keys = Object.keys(filterOverlay)) {
+    for (const key of keys) {
+        const overlay = filterOverlay[key];
+        if (!overlay) continue;
+        overlay.raw.visible = false;
+        overlay.filtered.visible = false;
+    }
+}
+
+function setupFilterUI() {
+    const params = handTracker.filterParams;
+    const rows = [
+        ['range-filter-cutoff', 'filter-cutoff-value', 'minCutoff', 1],
+        ['range-filter-beta', 'filter-beta-value', 'beta', 1],
+        ['range-filter-prediction', 'filter-prediction-value', 'prediction', 0],
+    ];
+
+    for (const [sliderId, valueId, key, digits] of rows) {
+        const slider = document.getElementById(sliderId);
+        const valueEl = document.getElementById(valueId);
+        slider.value = params[key];
+        valueEl.textContent = params[key].toFixed(digits);
+        slider.addEventListener('input', (e) => {
+            handTracker.setFilterParams({ [key]: parseFloat(e.target.value) });
+            valueEl.textContent = params[key].toFixed(digits);
+            saveFilterParams();
+        });
+    }
+
+    const toggle = document.getElementById('toggle-filter');
+    toggle.checked = params.enabled;
+    toggle.addEventListener('change', (e) => {
+        handTracker.setFilterParams({ enabled: e.target.checked });
+        applyFilterMode();
+        saveFilterParams();
+    });
+
+    const overlayToggle = document.getElementById('toggle-filter-overlay');
+    overlayToggle.addEventListener('change', (e) => {
+        settings.showFilterOverlay = e.target.checked;
+        if (!settings.showFilterOverlay) clearFilterOverlay();
+    });
+
+    applyFilterMode();
+}
+
+// Filtered input needs no second smoothing stage in Earth.update
+function applyFilterMode() {
+    for (const globe of globes) globe.setPositionHalfLife(handTracker.filterParams.enabled ? 0 : undefined);
+}
+
+function saveFilterParams() {
+    localStorage.setItem('filterParams', JSON.stringify(handTracker.filterParams));
 }
 
-function clearSkeleton() {
-    if (skeletons.left) skeletons.left.visible = false;
-    if (skeletons.right) skeletons.right.visible = false;
+function loadFilterParams() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('filterParams'));
+        if (saved) handTracker.setFilterParams(saved);
+    } catch (err) {
+        console.warn('⚠️ Ignoring saved filter params:', err.message);
+    }
 }
 
 // ============================================
@@ -484,15 +1886,43 @@ function updateFPS() {
         frameCount = 0;
         lastFrameTime = now;
         if (fpsCounter) fpsCounter.textContent = fps + ' FPS';
+        updateTrackingStats();
+    }
+}
+
+// Tracking runs at its own rate (worker or main thread), shown apart from rendering
+function updateTrackingStats() {
+    if (!trackingCounter) return;
+    const stats = handTracker.getStats();
+    if (stats.source === 'replay') {
+        trackingCounter.textContent = '✋ Replay';
+    } else {
+        trackingCounter.textContent = `✋ ${stats.fps} FPS · ${Math.round(stats.latency)} ms`;
     }
+    const where = stats.source === 'worker' ? 'Web Worker' : 'main thread';
+    const hands = describeTrackedHands();
+    trackingCounter.title = `Hand tracking rate and latency (${stats.backend || 'no'} backend, ${where})\n` +
+        `Dropped frames: ${stats.droppedFrames}\nHands: ${hands || 'none'}`;
+    if (settings.enableDebugLogs && hands) trackingCounter.textContent += ` · ${hands}`;
+}
+
+// "#3 L 92%" per tracked hand: stable id, the user's side, handedness vote confidence
+function describeTrackedHands() {
+    return handTracker.getTrackedHands()
+        .map(h => `#${h.id} ${h.label === 'Right' ? 'L' : 'R'} ${Math.round(h.confidence * 100)}%${h.missed ? ' (coasting)' : ''}`)
+        .join(', ');
 }
 
 // ============================================
 // Render Loop
 // ============================================
-function animate() {
+function animate(now = performance.now()) {
     requestAnimationFrame(animate);
 
+    // Seconds since the last frame; Earth physics is time-based
+    const dt = lastRenderTime === null ? 0 : (now - lastRenderTime) / 1000;
+    lastRenderTime = now;
+
     if (videoTexture && video.readyState >= video.HAVE_CURRENT_DATA) {
         videoTexture.needsUpdate = true;
     }
@@ -505,8 +1935,14 @@ function animate() {
     // Send frame to hand tracker
     handTracker.processFrame();
 
-    // Update Earth (pass whether hands are active to control auto-rotation)
-    earth.update(handsAreActive);
+    // Update every globe (pass whether it is held to control auto-rotation)
+    for (const globe of globes) {
+        updateThrowBounds(globe);
+        globe.update(dt, isGlobeHeld(globe));
+        stateOf(globe).update(now);
+    }
+    updateSunLighting();
+    occluder.expire();
 
     renderer.render(scene, camera);
     updateFPS();
@@ -517,33 +1953,56 @@ function animate() {
 // ============================================
 async function boot() {
     console.log('🌍 TerraHold booting...');
+    registerServiceWorker(); // In the background; reports via the offline status line
     setProgress(5);
     setStatus('Initializing 3D engine...');
 
     initThreeJS();
+    capture = new CanvasCapture(canvas, () => renderer.render(scene, camera));
+    occluder = new HandOccluder(scene);
+    occluder.setEnabled(settings.handOcclusion);
+    picker = new GlobePicker(earth, camera, scene);
+    picker.onPick = handlePick;
     setProgress(10);
 
-    const camOk = await requestCamera();
-    if (!camOk) {
-        loadingScreen.classList.add('hidden');
-        cameraError.classList.remove('hidden');
-        return;
-    }
+    const replayURL = new URLSearchParams(location.search).get('replay');
 
-    setupVideoBackground();
+    // A replay can run without a camera; otherwise wait until one works
+    const camOk = await requestCamera();
+    if (!camOk && !replayURL) await waitForCameraRetry();
     setProgress(35);
 
-    setStatus('Loading 3D Earth model...');
+    await earth.setBody(settings.body);
+    setStatus(`Loading 3D ${earth.body.name} model...`);
+    earth.setSkyQuality(SKY_QUALITY[settings.skyQuality] ? settings.skyQuality : 'medium');
+    earth.setCloudDrift(settings.cloudDrift);
+    earth.setFixedStep(settings.fixedStep);
     try {
         await earth.load(scene, (pct) => {
             setProgress(35 + pct * 0.4);
-            setStatus(`Loading Earth model... ${pct}%`);
+            setStatus(`Loading ${earth.body.name} model... ${pct}%`);
         });
     } catch (err) {
-        console.error('Failed to load Earth model:', err);
-        setStatus('⚠️ Earth model failed');
+        console.error(`Failed to load ${earth.body.name} model:`, err);
+        setStatus(`⚠️ ${earth.body.name} model failed`);
+    }
+
+    // Optional pins (earth/markers.geojson)
+    try {
+        await earth.loadMarkers();
+    } catch (err) {
+        console.warn('⚠️ No markers loaded:', err.message);
+    }
+
+    // Optional satellites for the orbit layer (earth/satellites.tle)
+    try {
+        await earth.loadSatellites();
+    } catch (err) {
+        console.warn('⚠️ No satellites loaded:', err.message);
     }
 
+    ensureGlobes(settings.maxPeople); // Extra globes load in the background
+
     setProgress(80);
     setStatus('Starting hand tracking...');
 
@@ -551,10 +2010,34 @@ async function boot() {
         onLeftHand: handleLeftHand,
         onRightHand: handleRightHand,
         onHandsLost: handleHandsLost,
+        onBothHands: handleBothHands,
+        onPersonLost: handlePersonLost,
+        personLabel,
     });
-    await handTracker.init(video);
+    setupGestureBindings();
+    loadFilterParams();
+    handTracker.setMaxPeople(settings.maxPeople); // Before init: the backend starts with enough hands
+    try {
+        await handTracker.init(video, { backend: settings.trackingBackend });
+    } catch (err) {
+        // Replays still work without a backend
+        console.error('❌ Hand tracking failed to start:', err);
+        setStatus('⚠️ Hand tracking unavailable');
+    }
 
     setupUI();
+    setupReplayUI();
+    setupCaptureUI();
+    setupBindingsUI();
+    setupSunUI();
+    setupBodyUI();
+    setupOrbitsUI();
+    setupFilterUI();
+    setupCameraUI();
+
+    // ?replay=<url> runs a recorded session instead of the webcam
+    if (replayURL) await loadReplay(() => LandmarkReplay.fromURL(replayURL));
+
     setProgress(95);
     setStatus('Almost ready...');
 
@@ -0,0 +1,167 @@
+/* ============================================
+   TerraHold — Hand Tracking Backends (ES Module)
+
+   Interchangeable landmark detectors behind one
+   interface:
+     await backend.init()
+     await backend.detect(image, timestampMs)
+       → { multiHandLandmarks, multiHandedness }
+     await backend.setNumHands(n)
+     backend.close()
+   Results use the legacy solution's shape so
+   HandTracker, the recorder and replays don't
+   care which backend produced them.
+
+   ─ tasks:  MediaPipe Tasks HandLandmarker, wasm
+             and .task model served from this
+             site (works offline; worker-safe)
+   ─ legacy: MediaPipe Hands solution from the
+             CDN (main thread only)
+   ============================================ */
+
+const CONFIG = {
+    // Self-hosted Tasks files (see README → Offline / Kiosk)
+    TASKS_BUNDLE: new URL('../vendor/tasks-vision/vision_bundle.mjs', import.meta.url).href,
+    TASKS_WASM: new URL('../vendor/tasks-vision/wasm', import.meta.url).href,
+    TASKS_MODEL: new URL('../models/hand_landmarker.task', import.meta.url).href,
+    LEGACY_BASE: 'https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/',
+    NUM_HANDS: 2,       // Default; multi-user mode asks for more (setNumHands)
+    MIN_DETECTION_CONFIDENCE: 0.5,
+    MIN_TRACKING_CONFIDENCE: 0.4,
+    MODEL_COMPLEXITY: 1, // Legacy only
+};
+
+// HandLandmarker (Tasks API)
+class TasksBackend {
+    constructor({ numHands = CONFIG.NUM_HANDS } = {}) {
+        this.name = 'tasks';
+        this.numHands = numHands;
+        this.landmarker = null;
+        this._lastTimestamp = -1;
+    }
+
+    async init() {
+        const { FilesetResolver, HandLandmarker } = await import(CONFIG.TASKS_BUNDLE);
+        const fileset = await FilesetResolver.forVisionTasks(CONFIG.TASKS_WASM);
+
+        const create = (delegate) => HandLandmarker.createFromOptions(fileset, {
+            baseOptions: { modelAssetPath: CONFIG.TASKS_MODEL, delegate },
+            runningMode: 'VIDEO',
+            numHands: this.numHands,
+            minHandDetectionConfidence: CONFIG.MIN_DETECTION_CONFIDENCE,
+            minHandPresenceConfidence: CONFIG.MIN_DETECTION_CONFIDENCE,
+            minTrackingConfidence: CONFIG.MIN_TRACKING_CONFIDENCE,
+        });
+
+        // No WebGL (e.g. some workers): CPU inference still beats no tracking
+        try {
+            this.landmarker = await create('GPU');
+        } catch (err) {
+            console.warn('⚠️ HandLandmarker GPU delegate failed, using CPU:', err.message);
+            this.landmarker = await create('CPU');
+        }
+    }
+
+    async detect(image, timestampMs) {
+        // VIDEO mode rejects timestamps that don't increase
+        const timestamp = Math.max(Math.round(timestampMs), this._lastTimestamp + 1);
+        this._lastTimestamp = timestamp;
+
+        const result = this.landmarker.detectForVideo(image, timestamp);
+        // Older tasks-vision releases call it `handednesses`
+        const handedness = result.handedness || result.handednesses || [];
+
+        // Both APIs label hands as if the image were mirrored, so "Right"
+        // is still the user's left hand (see HandTracker._processResults)
+        return {
+            multiHandLandmarks: result.landmarks,
+            multiHandedness: handedness.map(([category], index) => ({
+                index,
+                score: category.score,
+                label: category.categoryName,
+            })),
+        };
+    }
+
+    async setNumHands(numHands) {
+        this.numHands = numHands;
+        if (this.landmarker) await this.landmarker.setOptions({ numHands });
+    }
+
+    close() {
+        if (this.landmarker) this.landmarker.close();
+        this.landmarker = null;
+    }
+}
+
+// MediaPipe Hands legacy solution (global `Hands`, loaded on demand)
+class LegacyBackend {
+    constructor({ numHands = CONFIG.NUM_HANDS } = {}) {
+        this.name = 'legacy';
+        this.numHands = numHands;
+        this.hands = null;
+        this._results = null;
+    }
+
+    async init() {
+        if (typeof Hands === 'undefined') await loadScript(`${CONFIG.LEGACY_BASE}hands.min.js`);
+        if (typeof Hands === 'undefined') throw new Error('MediaPipe Hands not loaded');
+
+        this.hands = new Hands({ locateFile: (file) => `${CONFIG.LEGACY_BASE}${file}` });
+        this.hands.setOptions({
+            maxNumHands: this.numHands,
+            modelComplexity: CONFIG.MODEL_COMPLEXITY,
+            minDetectionConfidence: CONFIG.MIN_DETECTION_CONFIDENCE,
+            minTrackingConfidence: CONFIG.MIN_TRACKING_CONFIDENCE,
+        });
+        this.hands.onResults((results) => { this._results = results; });
+        await this.hands.initialize(); // Load the model now, not on the first frame
+    }
+
+    async detect(image) {
+        this._results = null;
+        await this.hands.send({ image });
+        return {
+            multiHandLandmarks: this._results ? this._results.multiHandLandmarks : [],
+            multiHandedness: this._results ? this._results.multiHandedness : [],
+        };
+    }
+
+    async setNumHands(numHands) {
+        this.numHands = numHands;
+        if (this.hands) this.hands.setOptions({ maxNumHands: numHands });
+    }
+
+    close() {
+        if (this.hands) this.hands.close();
+        this.hands = null;
+    }
+}
+
+function loadScript(src) {
+    if (typeof document === 'undefined') {
+        return Promise.reject(new Error('Legacy backend needs the main thread'));
+    }
+    return new Promise((resolve, reject) => {
+        const script = document.createElement('script');
+        script.src = src;
+        script.onload = resolve;
+        script.onerror = () => reject(new Error(`Failed to load ${src}`));
+        document.head.appendChild(script);
+    });
+}
+
+export const BACKENDS = {
+    tasks: { label: 'Tasks (local model)', create: (options) => new TasksBackend(options), workerSafe: true },
+    legacy: { label: 'Legacy (CDN)', create: (options) => new LegacyBackend(options), workerSafe: false },
+};
+
+// Tried in this order when the backend is 'auto'
+export const BACKEND_ORDER = ['tasks', 'legacy'];
+
+// options: { numHands }
+export function createBackend(name, options = {}) {
+    const entry = BACKENDS[name];
+    if (!entry) throw new Error(`Unknown hand tracking backend: ${name}`);
+    return entry.create(options);
+}
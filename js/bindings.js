@@ -0,0 +1,176 @@
+/* ============================================
+   TerraHold — Gesture → Action Bindings (ES Module)
+
+   Maps each Earth action to one trigger
+   ("<hand>:<gesture>"), editable from the
+   settings panel and persisted in localStorage.
+   The hand bound to setPosition is the "anchor"
+   hand that holds the Earth.
+   ============================================ */
+
+const STORAGE_KEY = 'gestureBindings';
+
+// Every trigger the UI offers. 'palm' and 'swipe' are continuous inputs
+// (active while the hand is tracked); 'spread' uses both palms.
+export const TRIGGERS = {
+    'left:palm': 'Left palm',
+    'right:palm': 'Right palm',
+    'left:openHand': 'Left open hand',
+    'right:openHand': 'Right open hand',
+    'left:fist': 'Left fist',
+    'right:fist': 'Right fist',
+    'left:zoomPinch': 'Left pinch',
+    'right:zoomPinch': 'Right pinch',
+    'left:peace': 'Left peace sign',
+    'right:peace': 'Right peace sign',
+    'left:swipe': 'Left swipe',
+    'right:swipe': 'Right swipe',
+    'both:spread': 'Two-hand spread',
+    'none': 'Off',
+};
+
+export const ACTIONS = {
+    setPosition: { label: 'Position', triggers: ['left:palm', 'right:palm'] },
+    setVisible: { label: 'Show', triggers: ['left:openHand', 'right:openHand', 'none'] },
+    stopRotation: { label: 'Brake', triggers: ['left:fist', 'right:fist', 'none'] },
+    setGestureScale: { label: 'Scale', triggers: ['right:zoomPinch', 'left:zoomPinch', 'both:spread', 'none'] },
+    addRotation: { label: 'Rotate', triggers: ['right:swipe', 'left:swipe', 'none'] },
+    takeSnapshot: { label: 'Snapshot', triggers: ['right:peace', 'left:peace', 'none'] },
+};
+
+// Every preset must pass validate(), and the default must never scale by
+// spread (two open palms are common while holding the globe)
+export const PRESETS = {
+    default: {
+        setPosition: 'left:palm',
+        setVisible: 'left:openHand',
+        stopRotation: 'left:fist',
+        setGestureScale: 'right:zoomPinch',
+        addRotation: 'right:swipe',
+        takeSnapshot: 'right:peace',
+    },
+    twoHandScale: {
+        setPosition: 'left:palm',
+        setVisible: 'left:openHand',
+        stopRotation: 'left:fist',
+        setGestureScale: 'both:spread',
+        addRotation: 'right:swipe',
+        takeSnapshot: 'right:peace',
+    },
+};
+
+// Driven by the control hand: handleControlHand never sees the anchor hand
+const CONTROL_ACTIONS = ['setGestureScale', 'addRotation'];
+
+export function parseTrigger(trigger) {
+    const [hand, gesture] = trigger.split(':');
+    return { hand, gesture: gesture || null };
+}
+
+/**
+ * Problems with a binding map (empty when usable): unknown triggers,
+ * or a control action on the anchor hand, where it would do nothing.
+ */
+export function validate(map) {
+    const problems = [];
+    for (const [action, { triggers }] of Object.entries(ACTIONS)) {
+        if (!triggers.includes(map[action])) problems.push(`${action}: unknown trigger ${map[action]}`);
+    }
+    const anchor = parseTrigger(map.setPosition || '').hand;
+    for (const action of CONTROL_ACTIONS) {
+        if (map[action] && parseTrigger(map[action]).hand === anchor) {
+            problems.push(`${action}: ${map[action]} is on the anchor hand`);
+        }
+    }
+    return problems;
+}
+
+function swapTrigger(trigger) {
+    if (trigger.startsWith('left:')) return 'right:' + trigger.slice(5);
+    if (trigger.startsWith('right:')) return 'left:' + trigger.slice(6);
+    return trigger;
+}
+
+class GestureBindings {
+    constructor() {
+        this.map = { ...PRESETS.default };
+        this.onChange = null;
+    }
+
+    load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (stored) {
+                const map = { ...this.map };
+                for (const action of Object.keys(ACTIONS)) {
+                    if (ACTIONS[action].triggers.includes(stored[action])) {
+                        map[action] = stored[action];
+                    }
+                }
+                if (validate(map).length === 0) this.map = map;
+                else console.warn('⚠️ Ignoring stored gesture bindings:', validate(map));
+            }
+        } catch (e) {
+            console.warn('⚠️ Ignoring invalid stored gesture bindings');
+        }
+        return this;
+    }
+
+    save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.map));
+    }
+
+    get(action) {
+        return this.map[action];
+    }
+
+    // Returns false (and keeps the current map) if the binding is unusable
+    set(action, trigger) {
+        if (!this.canSet(action, trigger)) {
+            console.warn(`⚠️ Invalid binding: ${action} → ${trigger}`);
+            return false;
+        }
+        this.map[action] = trigger;
+        this._changed();
+        return true;
+    }
+
+    canSet(action, trigger) {
+        return !!ACTIONS[action] && validate({ ...this.map, [action]: trigger }).length === 0;
+    }
+
+    // Hand that drives the action ('left' | 'right' | 'both' | 'none')
+    handOf(action) {
+        return parseTrigger(this.map[action]).hand;
+    }
+
+    get anchorHand() {
+        return this.handOf('setPosition');
+    }
+
+    // Two-hand spread drives the scale (opt-in: ↔ Spread preset or binding)
+    scalesBySpread() {
+        return this.map.setGestureScale === 'both:spread';
+    }
+
+    applyPreset(name) {
+        if (!PRESETS[name]) return;
+        this.map = { ...PRESETS[name] };
+        this._changed();
+    }
+
+    // Mirror every binding to the other hand (left-handed users, presenters)
+    swapHands() {
+        for (const action of Object.keys(this.map)) {
+            this.map[action] = swapTrigger(this.map[action]);
+        }
+        this._changed();
+    }
+
+    _changed() {
+        this.save();
+        if (this.onChange) this.onChange(this.map);
+    }
+}
+
+export default GestureBindings;
@@ -0,0 +1,79 @@
+/* ============================================
+   TerraHold — Celestial Bodies (ES Module)
+
+   One descriptor per holdable body. A body is
+   either a GLTF model or a generated sphere
+   wrapped in an equirectangular texture; if the
+   texture is missing it falls back to a flat
+   colour so the body still loads.
+   ============================================ */
+
+export const BODIES = {
+    earth: {
+        id: 'earth',
+        name: 'Earth',
+        icon: '🌍',
+        model: 'earth/scene.gltf',
+        texture: 'earth/textures/Material.002_diffuse.jpeg',
+        textureFlipY: false,            // glTF UV convention
+        nightTexture: 'earth/textures/night_lights.jpeg', // Optional city lights
+        // earth/scene.gltf: north at +Y, longitude 0° at azimuth atan2(x, z) = +90°
+        primeMeridianAzimuth: Math.PI / 2,
+        radiusKm: 6371,
+        axialTilt: 23.44,               // degrees
+        rotationPeriodHours: 23.934,    // sidereal day
+        realSun: true,                  // sun.js computes Earth's subsolar point
+        roughness: 0.7,
+        atmosphere: { color: [0.3, 0.6, 1.0] },
+        clouds: true,
+        markers: true,                  // earth/markers.geojson pins belong here
+        orbits: true,                   // Moon & satellite layer (orbits.js)
+    },
+    moon: {
+        id: 'moon',
+        name: 'Moon',
+        icon: '🌕',
+        texture: 'moon/texture.jpg',
+        color: '#b5b2ab',
+        // SphereGeometry UVs: an equirectangular map puts 0° at +X as well
+        primeMeridianAzimuth: Math.PI / 2,
+        radiusKm: 1737.4,
+        axialTilt: 6.68,
+        rotationPeriodHours: 655.7,     // Tidally locked: one turn per orbit
+        realSun: false,
+        roughness: 0.95,
+        atmosphere: null,
+        clouds: false,
+        markers: false,
+        orbits: false,
+    },
+    mars: {
+        id: 'mars',
+        name: 'Mars',
+        icon: '🔴',
+        texture: 'mars/texture.jpg',
+        color: '#c1502e',
+        primeMeridianAzimuth: Math.PI / 2,
+        radiusKm: 3389.5,
+        axialTilt: 25.19,
+        rotationPeriodHours: 24.623,
+        realSun: false,
+        roughness: 0.9,
+        atmosphere: { color: [0.85, 0.55, 0.35] }, // Thin, dusty
+        clouds: false,
+        markers: false,
+        orbits: false,
+    },
+};
+
+export const BODY_ORDER = ['earth', 'moon', 'mars'];
+
+export function getBody(id) {
+    return BODIES[id] || BODIES.earth;
+}
+
+// Next body in the cycle (wraps around)
+export function nextBodyId(id) {
+    const i = BODY_ORDER.indexOf(id);
+    return BODY_ORDER[(i + 1) % BODY_ORDER.length];
+}
@@ -0,0 +1,178 @@
+/* ============================================
+   TerraHold — Snapshot & Video Capture (ES Module)
+
+   Saves what the visitor sees: the render
+   canvas already composites the webcam video,
+   the globe and the skeleton, so
+   ─ snapshot(): PNG of a freshly rendered frame
+   ─ record(): countdown, then MediaRecorder on
+     the canvas stream until stop() or the
+     duration limit; the file is downloaded
+   No preserveDrawingBuffer needed: snapshots are
+   read right after a render (see constructor).
+   ============================================ */
+
+const CONFIG = {
+    COUNTDOWN_S: 3,              // Seconds before recording starts
+    MAX_DURATION_S: 30,          // Recording stops by itself after this
+    FRAME_RATE: 30,              // Canvas stream frame rate
+    VIDEO_BITS_PER_SECOND: 5000000,
+    // First supported one wins (Safari only records mp4)
+    MIME_TYPES: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm', 'video/mp4'],
+};
+
+// terrahold-20260101-120000
+function timestampName(prefix, date = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const day = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+    const time = `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    return `${prefix}-${day}-${time}`;
+}
+
+// Save a blob as a download (also used for landmark recordings, see replay.js)
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+class CanvasCapture {
+    /**
+     * `render` draws one frame into `canvas` (WebGL clears the drawing
+     * buffer once it is shown, so a snapshot renders and reads in one go).
+     */
+    constructor(canvas, render) {
+        this.canvas = canvas;
+        this.render = render;
+        this.state = 'idle';         // 'idle' | 'countdown' | 'recording'
+        this.countdown = CONFIG.COUNTDOWN_S;
+        this.maxDuration = CONFIG.MAX_DURATION_S;
+
+        this._recorder = null;
+        this._chunks = [];
+        this._timer = null;
+        this._stream = null;
+        this._startedAt = 0;
+
+        this.onStateChange = null;  // (state)
+        this.onError = null;         // (error) when recording could not start
+        this.onTick = null;          // (secondsLeft) during the countdown, (secondsElapsed) while recording
+    }
+
+    static isRecordingSupported() {
+        return typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+    }
+
+    // Download a PNG of the current view; resolves with the blob
+    async snapshot(filename = `${timestampName('terrahold')}.png`) {
+        this.render();
+        const blob = await new Promise((resolve, reject) => {
+            this.canvas.toBlob(b => (b ? resolve(b) : reject(new Error('Canvas is empty'))), 'image/png');
+        });
+        downloadBlob(blob, filename);
+        return blob;
+    }
+
+    // Count down, then record until stop() or the duration limit
+    record() {
+        if (this.state !== 'idle') return;
+        if (!CanvasCapture.isRecordingSupported()) throw new Error('Video recording is not supported in this browser');
+
+        let left = this.countdown;
+        this._setState('countdown');
+
+        const step = () => {
+            if (left <= 0) {
+                this._timer = null;
+                try {
+                    this._startRecording();
+                } catch (err) {
+                    // e.g. unsupported codec or an empty canvas: back to idle, HUD and all
+                    this._abortRecording();
+                    console.error('❌ Recording failed to start:', err);
+                    if (this.onError) this.onError(err);
+                }
+                return;
+            }
+            this._tick(left);
+            left--;
+            this._timer = setTimeout(step, 1000);
+        };
+        step();
+    }
+
+    // Stop now: cancels a countdown, or finishes and downloads the recording
+    stop() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (this.state === 'countdown') this._setState('idle');
+        else if (this.state === 'recording') this._recorder.stop();
+    }
+
+    isBusy() {
+        return this.state !== 'idle';
+    }
+
+    _startRecording() {
+        const mimeType = CONFIG.MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+        const stream = this.canvas.captureStream(CONFIG.FRAME_RATE);
+        this._stream = stream;
+
+        this._chunks = [];
+        this._recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: CONFIG.VIDEO_BITS_PER_SECOND });
+        this._recorder.ondataavailable = (e) => {
+            if (e.data.size) this._chunks.push(e.data);
+        };
+        this._recorder.onstop = () => {
+            stream.getTracks().forEach(track => track.stop());
+            this._stream = null;
+            clearTimeout(this._timer);
+            this._timer = null;
+
+            const type = this._recorder.mimeType || mimeType || 'video/webm';
+            const blob = new Blob(this._chunks, { type });
+            this._chunks = [];
+            this._recorder = null;
+            downloadBlob(blob, `${timestampName('terrahold')}.${type.includes('mp4') ? 'mp4' : 'webm'}`);
+            console.log(`🎬 Recording saved (${(blob.size / 1e6).toFixed(1)} MB)`);
+            this._setState('idle');
+        };
+
+        this._recorder.start(1000); // Chunk every second: a crash loses little
+        this._startedAt = performance.now();
+        this._setState('recording');
+
+        const tick = () => {
+            const elapsed = (performance.now() - this._startedAt) / 1000;
+            if (elapsed >= this.maxDuration) {
+                this.stop();
+                return;
+            }
+            this._tick(Math.floor(elapsed));
+            this._timer = setTimeout(tick, 1000 - ((elapsed * 1000) % 1000));
+        };
+        tick();
+    }
+
+    _abortRecording() {
+        if (this._stream) this._stream.getTracks().forEach(track => track.stop());
+        this._stream = null;
+        this._recorder = null;
+        this._chunks = [];
+        this._setState('idle');
+    }
+
+    _tick(value) {
+        if (this.onTick) this.onTick(value);
+    }
+
+    _setState(state) {
+        this.state = state;
+        if (this.onStateChange) this.onStateChange(state);
+    }
+}
+
+export default CanvasCapture;
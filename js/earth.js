@@ -2,94 +2,237 @@
    TerraHold — Earth Module (ES Module)
    ============================================ */
 
+// Time-based units: seconds, rad/s, and half-lives (time to close half
+// the remaining gap / lose half the speed), so the globe behaves the
+// same at 30, 60 or 144 fps.
 const CONFIG = {
-    POSITION_LERP: 0.28,  // Fast snapping to palm
-    SCALE_LERP: 0.18,     // Responsive zoom
-    ROT_DAMPING: 0.996,   // Extremely low friction (spins for much longer)
-    BRAKE_DAMPING: 0.95,  // High friction (stops in ~3 seconds)
-    AUTO_ROTATE_SPEED: 0.003,
-    MANUAL_ROTATE_FACTOR: 0.08,
+    POSITION_HALF_LIFE: 0.035, // s: fast snapping to palm
+    SCALE_HALF_LIFE: 0.058,    // s: responsive zoom
+    SPIN_HALF_LIFE: 2.9,       // s: extremely low friction (spins for much longer)
+    BRAKE_HALF_LIFE: 0.225,    // s: high friction (stops in ~3 seconds)
+    TILT_HALF_LIFE: 0.11,      // s: tilt & roll settle quickly (no long coasting)
+    MIN_ROTATE_SPEED: 0.0005,  // rad/s: snap to zero below this
+    MAX_TILT: Math.PI / 2, // Pole clamp: poles may face the camera, never flip past
+    MAX_ROLL: Math.PI / 2, // Roll clamp: the north pole never turns below the horizon
+    AUTO_ROTATE_SPEED: 0.18,     // rad/s for a 24 h day; scaled by each body's rotation period
+    MANUAL_ROTATE_FACTOR: 4.8,   // rad/s of spin per unit of addRotation impulse
+    MAX_FRAME_DT: 0.1,    // s: longer gaps (background tab) are clamped
+    FIXED_STEP: 1 / 60,   // s: step size in fixed-step mode
+    MAX_FIXED_STEPS: 8,   // Per update; the backlog is dropped beyond this
+    MIN_SCALE: 0.392,   // 2500 km when holding Earth
+    MAX_SCALE: 3.532,   // 22500 km when holding Earth
+    FLY_TO_DURATION: 1500, // ms
+    NIGHT_INTENSITY: 1.2,
+    SWITCH_DURATION: 450,  // ms per half of the body switch (shrink out, grow in)
+    SWITCH_SPIN: 15,       // Extra spin (rad/s) at the bottom of the switch
+    FADE_IN_DURATION: 250,   // ms to fade & grow in (see setVisible)
+    FADE_OUT_DURATION: 350,  // ms to fade & shrink away
+    FADE_MIN_SCALE: 0.6,     // Size at the start of a fade-in / end of a fade-out
+    BASE_RADIUS: 100,        // World radius at scale 1 (model normalized to 200 units)
+    // Throw & catch (see throw): world units are screen px at z = 0
+    GRAVITY: 2400,           // px/s²
+    AIR_DRAG_HALF_LIFE: 2.5, // s: flight speed lost to the air
+    RESTITUTION: 0.65,       // Share of speed kept when bouncing off a screen edge
+    FLOOR_FRICTION_HALF_LIFE: 0.4, // s: rolling along the bottom edge slows down
+    THROW_SPIN: 0.002,       // rad/s of spin per px/s of horizontal throw speed
 };
 
+const DEG2RAD = Math.PI / 180;
+const RAD2DEG = 180 / Math.PI;
+
+// Bodies already reported as missing their texture (warn once per session)
+const flatColourBodies = new Set();
+
+function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+// Lerp / decay factor for one step of dt seconds with the given half-life
+function halfLifeFactor(halfLife, dt) {
+    return halfLife > 0 ? 1 - Math.pow(0.5, dt / halfLife) : 1;
+}
+
+// Wrap an angle into [-π, π]
+function wrapAngle(a) {
+    return a - 2 * Math.PI * Math.floor((a + Math.PI) / (2 * Math.PI));
+}
+
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import MarkerLayer from './markers.js';
+import Sky from './sky.js';
+import OrbitLayer from './orbits.js';
+import { getBody } from './bodies.js';
 
 class Earth {
     constructor() {
         this.group = new THREE.Group();
+        this.pivot = new THREE.Group(); // Axial tilt of the active body
+        this.group.add(this.pivot);
         this.model = null;
         this.loaded = false;
 
+        // Active celestial body (see bodies.js)
+        this.body = getBody('earth');
+        this.switching = false;
+        this.transition = null;   // Shrink/grow animation while switching bodies
+        this.transitionScale = 1;
+
+        // Fade in/out: 0 = gone, 1 = fully shown (see setVisible)
+        this.visibility = 0;
+        this.targetVisibility = 0;
+        this.fadeUniform = { value: 1 }; // Shared with the sky shaders
+
         // Position
         this.targetPosition = new THREE.Vector3(0, 0, 0);
         this.currentPosition = new THREE.Vector3(0, 0, 0);
+        this.positionHalfLife = CONFIG.POSITION_HALF_LIFE;
+
+        // Free flight after a throw (world units/s); bounds are the screen
+        // half-extents at the globe's depth (see setBounds)
+        this.thrown = false;
+        this.velocity = new THREE.Vector3();
+        this.bounds = { x: Infinity, y: Infinity };
 
         // Scale
         this.targetScale = 0.15;
         this.currentScale = 0.15;
 
-        // Rotation
-        this.velocityRotX = 0;
-        this.velocityRotY = 0;
-
-        // Atmosphere
-        this.atmosphere = null;
+        // Rotation (rad/s)
+        this.velocityRotX = 0;  // Tilt (towards / away from viewer)
+        this.velocityRotY = 0;  // Spin around the poles
+        this.velocityRotZ = 0;  // Roll around the view axis
+
+        // Simulation clock (ms), advanced by update(); drives flights & switches
+        this.time = 0;
+        this.fixedStep = false;  // Step in CONFIG.FIXED_STEP increments (see setFixedStep)
+        this._stepBacklog = 0;   // s of real time not yet simulated in fixed-step mode
+
+        // Geography (model-local sphere, set on load)
+        this.localCenter = new THREE.Vector3();
+        this.localRadius = 1;
+        this.flight = null; // Active flyTo animation
+        this.surfaceMeshes = []; // Planet meshes only (raycast targets)
+
+        // Pins & labels (children of the model once loaded)
+        this.markers = new MarkerLayer(this);
+
+        // Day/night (see setSunDirection)
+        this.sunDirection = new THREE.Vector3(5, 3, 7).normalize(); // World space, towards the Sun
+        this.dayNightUniforms = {
+            uSunDirView: { value: new THREE.Vector3() },
+            uNightMap: { value: null },
+            uDayNight: { value: 0 },        // 0 = classic lighting, 1 = terminator + city lights
+            uHasNightMap: { value: 0 },
+            uNightIntensity: { value: CONFIG.NIGHT_INTENSITY },
+        };
+
+        // Clouds & atmosphere (built once the model is loaded)
+        this.sky = new Sky(this);
+
+        // Orbiting Moon & satellites (Earth only, off by default)
+        this.orbits = new OrbitLayer(this);
         this.autoRotateEnabled = true;
+        this.autoRotateSpeed = CONFIG.AUTO_ROTATE_SPEED;
         this.isBraking = false;
     }
 
 
     async load(scene, onProgress) {
-        const loader = new GLTFLoader();
+        const model = await this._createModel(this.body, onProgress);
+        this._installModel(model);
+
+        scene.add(this.group);
+        this.group.visible = false; // Initially hidden until hand is detected
+        this.loaded = true;
+    }
+
+    /**
+     * Switch to another body (see BODIES). The current one shrinks away,
+     * the new one grows back in its place. Before load() it just selects
+     * which body load() fetches. Resolves true once the new body is shown.
+     */
+    async setBody(id) {
+        const body = getBody(id);
+        if (body === this.body || this.switching) return false;
+        if (!this.loaded) {
+            this.body = body;
+            return true;
+        }
+
+        this.switching = true;
+        this.cancelFlight();
+        try {
+            await this._animateTransition(0);
+            const model = await this._createModel(body);
+            this._disposeModel();
+            this.body = body;
+            this._installModel(model);
+            return true;
+        } catch (error) {
+            console.error(`❌ Error loading ${body.name}:`, error);
+            return false; // Keep holding the previous body
+        } finally {
+            await this._animateTransition(1);
+            this.switching = false;
+        }
+    }
+
+    // GLTF model or textured sphere, not yet added to the scene
+    _createModel(body, onProgress) {
         const textureLoader = new THREE.TextureLoader();
 
-        return new Promise((resolve, reject) => {
-            // Pre-load texture manually
-            const earthTexture = textureLoader.load('earth/textures/Material.002_diffuse.jpeg');
-            earthTexture.colorSpace = THREE.SRGBColorSpace;
-            earthTexture.flipY = false;
+        if (!body.model) {
+            return new Promise((resolve) => {
+                // Colour-only fallback if the texture is missing
+                const material = new THREE.MeshStandardMaterial({
+                    color: body.color,
+                    roughness: body.roughness,
+                    metalness: 0.0,
+                });
+                textureLoader.load(
+                    body.texture,
+                    (map) => {
+                        map.colorSpace = THREE.SRGBColorSpace;
+                        material.map = map;
+                        material.color.set(0xffffff);
+                        material.needsUpdate = true;
+                        resolve(new THREE.Mesh(new THREE.SphereGeometry(1, 96, 64), material));
+                    },
+                    undefined,
+                    () => {
+                        if (!flatColourBodies.has(body.id)) {
+                            flatColourBodies.add(body.id);
+                            console.warn(`⚠️ No ${body.name} texture (${body.texture}), using a flat colour — run scripts/fetch-assets.sh`);
+                        }
+                        resolve(new THREE.Mesh(new THREE.SphereGeometry(1, 96, 64), material));
+                    }
+                );
+            });
+        }
 
+        // Pre-load texture manually
+        const texture = textureLoader.load(body.texture);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.flipY = body.textureFlipY !== false;
+
+        const loader = new GLTFLoader();
+        return new Promise((resolve, reject) => {
             loader.load(
-                'earth/scene.gltf',
+                body.model,
                 (gltf) => {
-                    this.model = gltf.scene;
-
                     // Apply texture (KHR_materials_pbrSpecularGlossiness workaround)
-                    this.model.traverse((child) => {
+                    gltf.scene.traverse((child) => {
                         if (child.isMesh) {
                             child.material = new THREE.MeshStandardMaterial({
-                                map: earthTexture,
-                                roughness: 0.7,
+                                map: texture,
+                                roughness: body.roughness,
                                 metalness: 0.0,
                             });
-                            child.material.needsUpdate = true;
                         }
                     });
-
-                    // Normalize scale
-                    const box = new THREE.Box3().setFromObject(this.model);
-                    const size = box.getSize(new THREE.Vector3());
-                    const maxDim = Math.max(size.x, size.y, size.z);
-                    const desiredSize = 200;
-                    const scaleFactor = desiredSize / maxDim;
-
-                    this.model.scale.setScalar(scaleFactor);
-
-                    // Center model
-                    const center = box.getCenter(new THREE.Vector3());
-                    this.model.position.sub(center.multiplyScalar(scaleFactor));
-
-                    this.group.add(this.model);
-
-                    // Atmosphere glow
-                    this._createAtmosphere(desiredSize / 2);
-
-                    scene.add(this.group);
-                    this.group.visible = false; // Initially hidden until hand is detected
-                    this.loaded = true;
-
-                    console.log('✅ Earth GLTF model loaded with textures');
-                    resolve();
+                    console.log(`✅ ${body.name} GLTF model loaded with textures`);
+                    resolve(gltf.scene);
                 },
                 (progress) => {
                     if (progress.total > 0) {
@@ -98,95 +241,338 @@ class Earth {
                     }
                 },
                 (error) => {
-                    console.error('❌ Error loading Earth model:', error);
+                    console.error(`❌ Error loading ${body.name} model:`, error);
                     reject(error);
                 }
             );
         });
     }
 
-    _createAtmosphere(radius) {
-        const atmosphereGeometry = new THREE.SphereGeometry(radius * 1.15, 48, 48);
-        const atmosphereMaterial = new THREE.ShaderMaterial({
-            vertexShader: `
-                varying vec3 vNormal;
-                void main() {
-                    vNormal = normalize(normalMatrix * normal);
-                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                varying vec3 vNormal;
-                void main() {
-                    float intensity = pow(0.6 - dot(vNormal, vec3(0.0, 0.0, 1.0)), 3.0);
-                    gl_FragColor = vec4(0.3, 0.6, 1.0, 0.8) * intensity;
-                }
-            `,
-            blending: THREE.AdditiveBlending,
-            side: THREE.BackSide,
-            transparent: true,
-            depthWrite: false,
+    _installModel(model) {
+        const body = this.body;
+        this.model = model;
+        // Roll (view axis) → tilt → spin around the poles
+        this.model.rotation.order = 'ZXY';
+        this.pivot.rotation.z = -body.axialTilt * DEG2RAD;
+        this.autoRotateSpeed = CONFIG.AUTO_ROTATE_SPEED * 24 / body.rotationPeriodHours;
+
+        this.surfaceMeshes = [];
+        this.model.traverse((child) => {
+            if (child.isMesh) {
+                this._addDayNight(child);
+                child.material.needsUpdate = true;
+                this.surfaceMeshes.push(child);
+            }
         });
-        this.atmosphere = new THREE.Mesh(atmosphereGeometry, atmosphereMaterial);
-        this.group.add(this.atmosphere);
+
+        // Normalize scale
+        const box = new THREE.Box3().setFromObject(this.model);
+        const size = box.getSize(new THREE.Vector3());
+        const maxDim = Math.max(size.x, size.y, size.z);
+        const desiredSize = 200;
+        const scaleFactor = desiredSize / maxDim;
+
+        this.model.scale.setScalar(scaleFactor);
+
+        // Center model
+        const center = box.getCenter(new THREE.Vector3());
+        this.localCenter.copy(center);
+        this.localRadius = maxDim / 2;
+        this.model.position.sub(center.multiplyScalar(scaleFactor));
+
+        this.pivot.add(this.model);
+        if (body.markers) this.markers.attach(this.model);
+        else this.markers.detach();
+        if (body.orbits) this.orbits.attach(this.model);
+        else this.orbits.detach();
+
+        this._loadNightTexture(body);
+
+        // Cloud shell & atmosphere glow
+        this.sky.build();
+        this._applyFade(); // New materials start at the current fade
+    }
+
+    _disposeModel() {
+        if (!this.model) return;
+        this.sky.dispose();
+        this.markers.detach();
+        this.orbits.detach();
+        this.pivot.remove(this.model);
+        this.model.traverse((child) => {
+            if (child.isMesh) {
+                child.geometry.dispose();
+                if (child.material.map) child.material.map.dispose();
+                child.material.dispose();
+            }
+        });
+        this.model = null;
+        this.surfaceMeshes = [];
+    }
+
+    _loadNightTexture(body) {
+        const uniforms = this.dayNightUniforms;
+        if (uniforms.uNightMap.value) uniforms.uNightMap.value.dispose();
+        uniforms.uNightMap.value = null;
+        uniforms.uHasNightMap.value = 0;
+        if (!body.nightTexture) return;
+
+        new THREE.TextureLoader().load(
+            body.nightTexture,
+            (texture) => {
+                if (this.body !== body) return texture.dispose(); // Switched away meanwhile
+                texture.colorSpace = THREE.SRGBColorSpace;
+                texture.flipY = body.textureFlipY !== false; // Same UV layout as the day texture
+                uniforms.uNightMap.value = texture;
+                uniforms.uHasNightMap.value = 1;
+                console.log('🌃 Night lights texture loaded');
+            },
+            undefined,
+            () => console.log('ℹ️ No night lights texture, terminator only')
+        );
+    }
+
+    _animateTransition(to) {
+        return new Promise((resolve) => {
+            this.transition = {
+                from: this.transitionScale,
+                to,
+                start: this.time,
+                duration: CONFIG.SWITCH_DURATION,
+                resolve,
+            };
+        });
+    }
+
+    _updateTransition() {
+        const { from, to, start, duration, resolve } = this.transition;
+        const t = Math.min(1, (this.time - start) / duration);
+        this.transitionScale = from + (to - from) * easeInOutCubic(t);
+
+        if (t >= 1) {
+            this.transition = null;
+            resolve();
+        }
+    }
+
+    // Patch the standard material: city lights glow on the night side,
+    // fading in across a soft band around the terminator.
+    _addDayNight(mesh) {
+        mesh.material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, this.dayNightUniforms);
+
+            shader.fragmentShader = shader.fragmentShader
+                .replace('#include <common>', `#include <common>
+                    uniform vec3 uSunDirView;
+                    uniform sampler2D uNightMap;
+                    uniform float uDayNight;
+                    uniform float uHasNightMap;
+                    uniform float uNightIntensity;
+                `)
+                .replace('#include <emissivemap_fragment>', `#include <emissivemap_fragment>
+                    float sunDot = dot(normal, uSunDirView);
+                    float night = uDayNight * uHasNightMap * (1.0 - smoothstep(-0.2, 0.05, sunDot));
+                    totalEmissiveRadiance += night * uNightIntensity * texture2D(uNightMap, vMapUv).rgb;
+                `);
+        };
+
+        // Sun direction into view space for the camera being rendered
+        mesh.onBeforeRender = (renderer, scene, camera) => {
+            this.dayNightUniforms.uSunDirView.value
+                .copy(this.sunDirection)
+                .transformDirection(camera.matrixWorldInverse);
+        };
     }
 
     setPosition(x, y, z = 0) {
         this.targetPosition.set(x, y, z);
     }
 
+    // 0 = follow the target exactly (input already filtered upstream)
+    setPositionHalfLife(seconds = CONFIG.POSITION_HALF_LIFE) {
+        this.positionHalfLife = seconds;
+    }
+
+    // Fixed-step mode advances the physics in constant CONFIG.FIXED_STEP
+    // increments whatever the frame rate, so a recording replays the same way.
+    setFixedStep(enabled) {
+        this.fixedStep = enabled;
+        this._stepBacklog = 0;
+    }
+
     setGestureScale(factor) {
         // factor is 0.0 (closed) to 1.0 (open)
-        // Map to scale range: ~0.392 (2500km) to ~3.532 (22500km)
-        const MIN_SCALE = 0.392;
-        const MAX_SCALE = 3.532;
-
+        // Map to scale range: MIN_SCALE to MAX_SCALE (see getRadiusKm)
         if (factor >= 0 && factor <= 1) {
-            const newScale = MIN_SCALE + (factor * (MAX_SCALE - MIN_SCALE));
+            const newScale = CONFIG.MIN_SCALE + (factor * (CONFIG.MAX_SCALE - CONFIG.MIN_SCALE));
             this.targetScale = newScale;
         }
     }
 
     setScale(scale) {
-        this.targetScale = Math.max(0.392, Math.min(3.532, scale));
+        this.targetScale = Math.max(CONFIG.MIN_SCALE, Math.min(CONFIG.MAX_SCALE, scale));
     }
 
-    addRotation(dx, dy) {
-        this.velocityRotX += dx;
-        this.velocityRotY += dy;
+    // Radius the globe represents at a given scale (1 = the body's real radius)
+    getRadiusKm(scale = this.targetScale) {
+        return scale * this.body.radiusKm;
     }
 
-    update(handsActive = false) {
+    // Impulses (one per hand frame) in arbitrary units, scaled to rad/s.
+    // Swipe deltas shrink as the tracking rate rises, so the momentum a
+    // gesture builds up is the same at any MediaPipe frame rate.
+    addRotation(dx, dy, dz = 0) {
+        this.cancelFlight(); // User takes over
+        this.velocityRotX += dx * CONFIG.MANUAL_ROTATE_FACTOR;
+        this.velocityRotY += dy * CONFIG.MANUAL_ROTATE_FACTOR;
+        this.velocityRotZ += dz * CONFIG.MANUAL_ROTATE_FACTOR;
+    }
+
+    /**
+     * Advance the globe by dt seconds of real time (call once per frame).
+     */
+    update(dt, handsActive = false) {
         if (!this.loaded) return;
+        dt = Math.min(Math.max(dt, 0), CONFIG.MAX_FRAME_DT);
+
+        if (this.fixedStep) {
+            this._stepBacklog += dt;
+            let steps = 0;
+            while (this._stepBacklog >= CONFIG.FIXED_STEP && steps < CONFIG.MAX_FIXED_STEPS) {
+                this._step(CONFIG.FIXED_STEP, handsActive);
+                this._stepBacklog -= CONFIG.FIXED_STEP;
+                steps++;
+            }
+            if (steps === CONFIG.MAX_FIXED_STEPS) this._stepBacklog = 0;
+        } else {
+            this._step(dt, handsActive);
+        }
+
+        this.markers.update();
+    }
 
-        // ★ Fast position lerp — Earth snaps to palm quickly
-        this.currentPosition.lerp(this.targetPosition, CONFIG.POSITION_LERP);
+    _step(dt, handsActive) {
+        this.time += dt * 1000;
+
+        // ★ Fast position lerp — Earth snaps to palm quickly (unless it was thrown)
+        if (this.thrown) this._stepFlight(dt);
+        else this.currentPosition.lerp(this.targetPosition, halfLifeFactor(this.positionHalfLife, dt));
         this.group.position.copy(this.currentPosition);
 
         // ★ Responsive scale lerp
-        this.currentScale += (this.targetScale - this.currentScale) * CONFIG.SCALE_LERP;
-        this.group.scale.setScalar(this.currentScale);
+        this.currentScale += (this.targetScale - this.currentScale) * halfLifeFactor(CONFIG.SCALE_HALF_LIFE, dt);
+        if (this.transition) this._updateTransition();
+        this._updateFade(dt);
+        const fadeScale = CONFIG.FADE_MIN_SCALE + (1 - CONFIG.FADE_MIN_SCALE) * this.fadeUniform.value;
+        this.group.scale.setScalar(this.currentScale * Math.max(0.001, this.transitionScale) * fadeScale);
+
+        this.sky.update(dt);
+        this.orbits.update(this.time);
+
+        // flyTo animation owns the rotation while it runs
+        if (this.flight) {
+            this._updateFlight();
+            return;
+        }
 
         // Auto-rotation (ONLY if not braking)
         if (this.autoRotateEnabled && !this.isBraking) {
-            this.model.rotation.y += CONFIG.AUTO_ROTATE_SPEED;
+            this.model.rotation.y += this.autoRotateSpeed * dt;
         }
 
+        // Body switch: whirl away and back in
+        this.model.rotation.y += CONFIG.SWITCH_SPIN * (1 - this.transitionScale) * dt;
+
         // Manual rotation velocity
-        this.model.rotation.y += this.velocityRotY * CONFIG.MANUAL_ROTATE_FACTOR;
-        this.model.rotation.x += this.velocityRotX * CONFIG.MANUAL_ROTATE_FACTOR;
+        this.model.rotation.y += this.velocityRotY * dt;
+        this.model.rotation.x += this.velocityRotX * dt;
+        this.model.rotation.z += this.velocityRotZ * dt;
+
+        // Pole clamping: the globe can't be tilted upside-down
+        if (Math.abs(this.model.rotation.x) > CONFIG.MAX_TILT) {
+            this.model.rotation.x = Math.sign(this.model.rotation.x) * CONFIG.MAX_TILT;
+            this.velocityRotX = 0;
+        }
+        // Same for wrist roll around the view axis
+        if (Math.abs(this.model.rotation.z) > CONFIG.MAX_ROLL) {
+            this.model.rotation.z = Math.sign(this.model.rotation.z) * CONFIG.MAX_ROLL;
+            this.velocityRotZ = 0;
+        }
 
         // Dampen rotation (Smooth Deceleration)
-        // If braking -> use High Friction (BRAKE_DAMPING)
-        // If normal  -> use Low Friction (ROT_DAMPING)
-        const damping = this.isBraking ? CONFIG.BRAKE_DAMPING : CONFIG.ROT_DAMPING;
+        // If braking -> use High Friction (BRAKE_HALF_LIFE)
+        // If normal  -> use Low Friction (SPIN_HALF_LIFE)
+        const halfLife = this.isBraking ? CONFIG.BRAKE_HALF_LIFE : CONFIG.SPIN_HALF_LIFE;
+
+        const damping = 1 - halfLifeFactor(halfLife, dt);
+        const tiltDamping = 1 - halfLifeFactor(Math.min(halfLife, CONFIG.TILT_HALF_LIFE), dt);
 
-        this.velocityRotX *= damping;
+        this.velocityRotX *= tiltDamping;
         this.velocityRotY *= damping;
+        this.velocityRotZ *= tiltDamping;
 
         // Snap to zero if very slow
-        if (Math.abs(this.velocityRotX) < 0.0001) this.velocityRotX = 0;
-        if (Math.abs(this.velocityRotY) < 0.0001) this.velocityRotY = 0;
+        if (Math.abs(this.velocityRotX) < CONFIG.MIN_ROTATE_SPEED) this.velocityRotX = 0;
+        if (Math.abs(this.velocityRotY) < CONFIG.MIN_ROTATE_SPEED) this.velocityRotY = 0;
+        if (Math.abs(this.velocityRotZ) < CONFIG.MIN_ROTATE_SPEED) this.velocityRotZ = 0;
+    }
+
+    // ---- Throw & Catch ----
+
+    /**
+     * Let go of the globe with a velocity (world units/s): it flies under
+     * gravity and bounces off the screen edges until catch().
+     */
+    throw(velocity) {
+        this.cancelFlight();
+        this.thrown = true;
+        this.velocity.copy(velocity);
+        this.velocityRotY += velocity.x * CONFIG.THROW_SPIN; // Flung sideways, it spins
+    }
+
+    // Back to following setPosition, from where it is now
+    catch() {
+        this.thrown = false;
+        this.velocity.set(0, 0, 0);
+        this.targetPosition.copy(this.currentPosition);
+    }
+
+    isThrown() {
+        return this.thrown;
+    }
+
+    // Screen half-extents (world units) at the globe's depth; call on resize / each frame
+    setBounds(halfWidth, halfHeight) {
+        this.bounds.x = halfWidth;
+        this.bounds.y = halfHeight;
+    }
+
+    // Radius on screen right now (scale, body switch and fade included)
+    getWorldRadius() {
+        return CONFIG.BASE_RADIUS * this.group.scale.x;
+    }
+
+    _stepFlight(dt) {
+        const v = this.velocity;
+        const p = this.currentPosition;
+
+        v.y -= CONFIG.GRAVITY * dt;
+        v.multiplyScalar(1 - halfLifeFactor(CONFIG.AIR_DRAG_HALF_LIFE, dt));
+        p.addScaledVector(v, dt);
+
+        // Bounce off the screen edges, keeping the whole globe in view
+        const radius = this.getWorldRadius();
+        for (const axis of ['x', 'y']) {
+            const limit = Math.max(0, this.bounds[axis] - radius);
+            if (Math.abs(p[axis]) <= limit) continue;
+            p[axis] = Math.sign(p[axis]) * limit;
+            if (Math.sign(v[axis]) === Math.sign(p[axis])) v[axis] *= -CONFIG.RESTITUTION;
+        }
+
+        // Resting on (or rolling along) the bottom edge
+        if (p.y <= -this.bounds.y + radius + 1) {
+            v.x *= 1 - halfLifeFactor(CONFIG.FLOOR_FRICTION_HALF_LIFE, dt);
+        }
     }
 
     startBraking() {
@@ -201,9 +587,47 @@ class Earth {
         return this.loaded;
     }
 
-    setVisible(visible) {
-        if (this.group) {
-            this.group.visible = visible;
+    /**
+     * Fade the globe in (growing from FADE_MIN_SCALE) or out. `immediate`
+     * skips the animation.
+     */
+    setVisible(visible, immediate = false) {
+        this.targetVisibility = visible ? 1 : 0;
+        if (immediate) {
+            this.visibility = this.targetVisibility;
+            this._applyFade();
+        }
+    }
+
+    // Current fade amount: 0 = gone, 1 = fully shown
+    getVisibility() {
+        return this.visibility;
+    }
+
+    _updateFade(dt) {
+        if (this.visibility === this.targetVisibility) return;
+        const fadingIn = this.targetVisibility > this.visibility;
+        const step = dt * 1000 / (fadingIn ? CONFIG.FADE_IN_DURATION : CONFIG.FADE_OUT_DURATION);
+        this.visibility = fadingIn
+            ? Math.min(this.targetVisibility, this.visibility + step)
+            : Math.max(this.targetVisibility, this.visibility - step);
+        this._applyFade();
+    }
+
+    _applyFade() {
+        const fade = easeInOutCubic(this.visibility);
+        this.fadeUniform.value = fade;
+        this.group.visible = this.visibility > 0;
+
+        // Opaque again once fully in, so the surface sorts & writes depth as usual
+        for (const mesh of this.surfaceMeshes) {
+            const material = mesh.material;
+            const transparent = fade < 1;
+            if (material.transparent !== transparent) {
+                material.transparent = transparent;
+                material.needsUpdate = true;
+            }
+            material.opacity = fade;
         }
     }
 
@@ -214,10 +638,181 @@ class Earth {
     stopRotation() {
         this.velocityRotX = 0;
         this.velocityRotY = 0;
+        this.velocityRotZ = 0;
     }
 
+    // Shown or fading in (false while fading out)
     isVisible() {
-        return this.group && this.group.visible;
+        return this.targetVisibility === 1;
+    }
+
+    // ---- Geographic Coordinates ----
+    // lat/lon in degrees (north / east positive). "Local" = this.model's
+    // own frame, so points rotate and scale with the planet.
+
+    latLonToLocal(lat, lon, altitude = 0, target = new THREE.Vector3()) {
+        const phi = lat * DEG2RAD;
+        const theta = lon * DEG2RAD + this.body.primeMeridianAzimuth;
+        const r = this.localRadius * (1 + altitude); // altitude as fraction of radius
+
+        return target.set(
+            Math.cos(phi) * Math.sin(theta),
+            Math.sin(phi),
+            Math.cos(phi) * Math.cos(theta)
+        ).multiplyScalar(r).add(this.localCenter);
+    }
+
+    latLonToWorld(lat, lon, altitude = 0, target = new THREE.Vector3()) {
+        this.latLonToLocal(lat, lon, altitude, target);
+        this.model.updateWorldMatrix(true, false);
+        return this.model.localToWorld(target);
+    }
+
+    localToLatLon(point) {
+        const d = point.clone().sub(this.localCenter).normalize();
+        return {
+            lat: Math.asin(THREE.MathUtils.clamp(d.y, -1, 1)) * RAD2DEG,
+            lon: wrapAngle(Math.atan2(d.x, d.z) - this.body.primeMeridianAzimuth) * RAD2DEG,
+        };
+    }
+
+    worldToLatLon(point) {
+        this.model.updateWorldMatrix(true, false);
+        return this.localToLatLon(this.model.worldToLocal(point.clone()));
+    }
+
+    // Lat/lon at the centre of the visible disc (camera looks down -Z)
+    getFacingLatLon() {
+        if (!this.model) return null;
+        const q = this.model.getWorldQuaternion(new THREE.Quaternion()).invert();
+        const dir = new THREE.Vector3(0, 0, 1).applyQuaternion(q);
+        return this.localToLatLon(dir.multiplyScalar(this.localRadius).add(this.localCenter));
+    }
+
+    /**
+     * Animate the globe so (lat, lon) faces the camera, north up.
+     * Resolves true when it arrives, false if cancelled (e.g. by a swipe).
+     */
+    flyTo(lat, lon, duration = CONFIG.FLY_TO_DURATION) {
+        if (!this.model) return Promise.resolve(false);
+        this.cancelFlight();
+        this.stopRotation();
+
+        // With rotation order ZXY: spin brings the meridian to the front,
+        // tilt brings the latitude to the centre, roll cancels the axial tilt.
+        const rot = this.model.rotation;
+        const targetY = -(lon * DEG2RAD + this.body.primeMeridianAzimuth);
+        const targetX = THREE.MathUtils.clamp(lat * DEG2RAD, -CONFIG.MAX_TILT, CONFIG.MAX_TILT);
+
+        return new Promise((resolve) => {
+            this.flight = {
+                from: { x: rot.x, y: rot.y, z: rot.z },
+                // Shortest way round from wherever the spin has accumulated to
+                to: {
+                    x: targetX,
+                    y: rot.y + wrapAngle(targetY - rot.y),
+                    z: rot.z + wrapAngle(this.body.axialTilt * DEG2RAD - rot.z),
+                },
+                start: this.time,
+                duration: Math.max(1, duration),
+                resolve,
+            };
+        });
+    }
+
+    /**
+     * Raycast against the planet surface (markers/atmosphere ignored).
+     * Returns { point, normal, lat, lon } in world space, or null.
+     */
+    pick(raycaster) {
+        if (!this.model || !this.group.visible) return null;
+        const hit = raycaster.intersectObjects(this.surfaceMeshes, false)[0];
+        if (!hit) return null;
+
+        const center = this.model.localToWorld(this.localCenter.clone());
+        const normal = hit.point.clone().sub(center).normalize();
+        const { lat, lon } = this.worldToLatLon(hit.point);
+        return { point: hit.point, normal, lat, lon };
+    }
+
+    // ---- Sun ----
+
+    setDayNight(enabled) {
+        this.dayNightUniforms.uDayNight.value = enabled ? 1 : 0;
+    }
+
+    // World-space unit vector from the globe centre towards the Sun
+    setSunDirection(direction) {
+        this.sunDirection.copy(direction).normalize();
+    }
+
+    // World-space unit vector from the globe centre towards (lat, lon)
+    latLonToWorldDirection(lat, lon, target = new THREE.Vector3()) {
+        const center = this.model.localToWorld(this.localCenter.clone());
+        return this.latLonToWorld(lat, lon, 0, target).sub(center).normalize();
+    }
+
+    // ---- Sky ----
+
+    setSkyQuality(quality) {
+        this.sky.quality = quality;
+        if (this.loaded) this.sky.build(quality);
+    }
+
+    setCloudDrift(speed) {
+        this.sky.setCloudDrift(speed);
+    }
+
+    // ---- Markers ----
+
+    addMarker(options) {
+        return this.markers.add(options);
+    }
+
+    removeMarker(id) {
+        return this.markers.remove(id);
+    }
+
+    clearMarkers() {
+        this.markers.clear();
+    }
+
+    loadMarkers(url = 'earth/markers.geojson') {
+        return this.markers.load(url);
+    }
+
+    // ---- Orbits ----
+
+    loadSatellites(url = 'earth/satellites.tle') {
+        return this.orbits.load(url);
+    }
+
+    cancelFlight() {
+        if (!this.flight) return;
+        const { resolve } = this.flight;
+        this.flight = null;
+        resolve(false);
+    }
+
+    isFlying() {
+        return this.flight !== null;
+    }
+
+    _updateFlight() {
+        const { from, to, start, duration, resolve } = this.flight;
+        const t = Math.min(1, (this.time - start) / duration);
+        const k = easeInOutCubic(t);
+
+        this.model.rotation.set(
+            from.x + (to.x - from.x) * k,
+            from.y + (to.y - from.y) * k,
+            from.z + (to.z - from.z) * k
+        );
+
+        if (t >= 1) {
+            this.flight = null;
+            resolve(true);
+        }
     }
 }
 
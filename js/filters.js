@@ -0,0 +1,82 @@
+/* ============================================
+   TerraHold — Landmark Filtering (ES Module)
+
+   One-Euro filter (Casiez et al., CHI 2012):
+   a low-pass whose cutoff rises with speed, so
+   it is smooth while the hand rests and lag-
+   free when it moves fast. The filtered speed
+   also extrapolates a few ms ahead to hide
+   MediaPipe's processing latency.
+   ============================================ */
+
+// Shared by every landmark filter; mutate via HandTracker.setFilterParams
+export const DEFAULT_FILTER_PARAMS = {
+    enabled: true,
+    minCutoff: 1.0,     // Hz: jitter removal while still (lower = smoother)
+    beta: 10,           // Cutoff gain per unit/s of speed (higher = less lag)
+    dCutoff: 1.0,       // Hz: smoothing of the speed estimate itself
+    prediction: 20,     // ms to extrapolate ahead (0 = none)
+};
+
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+export class OneEuroFilter {
+    constructor(params = DEFAULT_FILTER_PARAMS) {
+        this.params = params; // Held by reference: slider changes apply live
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.speed = 0;
+        this.lastTime = null;
+    }
+
+    // t in ms. Returns the filtered (and predicted) value.
+    filter(value, t) {
+        const { enabled, minCutoff, beta, dCutoff, prediction } = this.params;
+
+        if (!enabled || this.value === null) {
+            this.value = value;
+            this.speed = 0;
+            this.lastTime = t;
+            return value;
+        }
+
+        const dt = Math.max((t - this.lastTime) / 1000, 1e-3);
+        this.lastTime = t;
+
+        const rawSpeed = (value - this.value) / dt;
+        this.speed += (rawSpeed - this.speed) * smoothingFactor(dCutoff, dt);
+
+        const cutoff = minCutoff + beta * Math.abs(this.speed);
+        this.value += (value - this.value) * smoothingFactor(cutoff, dt);
+
+        return this.value + this.speed * (prediction / 1000);
+    }
+}
+
+/**
+ * One filter per coordinate of the 21 hand landmarks.
+ */
+export class LandmarkFilter {
+    constructor(params = DEFAULT_FILTER_PARAMS) {
+        this.filters = Array.from({ length: 21 * 3 }, () => new OneEuroFilter(params));
+    }
+
+    reset() {
+        for (const f of this.filters) f.reset();
+    }
+
+    // Returns new { x, y, z } objects (MediaPipe reuses its own)
+    filter(landmarks, t) {
+        return landmarks.map((p, i) => ({
+            x: this.filters[i * 3].filter(p.x, t),
+            y: this.filters[i * 3 + 1].filter(p.y, t),
+            z: this.filters[i * 3 + 2].filter(p.z, t),
+        }));
+    }
+}
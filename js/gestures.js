@@ -0,0 +1,244 @@
+/* ============================================
+   TerraHold — Gesture Registry (ES Module)
+
+   Each gesture is a named detector over the 21
+   MediaPipe hand landmarks that returns a
+   confidence (0-1). The registry applies per-
+   gesture hysteresis + debounce and emits:
+   ─ gesturestart  (confidence rose above `enter`)
+   ─ gesturechange (every frame while active)
+   ─ gestureend    (confidence fell below `exit`)
+   ============================================ */
+
+const DEFAULTS = {
+    enter: 0.75,          // Confidence needed to start
+    exit: 0.4,            // Confidence below which it ends
+    debounceFrames: 0,    // Consecutive frames required before start/end
+};
+
+// ---- Landmark Helpers ----
+
+const FINGERS = {
+    index: { tip: 8, pip: 6 },
+    middle: { tip: 12, pip: 10 },
+    ring: { tip: 16, pip: 14 },
+    pinky: { tip: 20, pip: 18 },
+};
+
+// Finger is closed when its tip is nearer the wrist than its PIP joint (2D)
+export function isFingerClosed(landmarks, tipIdx, pipIdx) {
+    const wrist = landmarks[0];
+    const tip = landmarks[tipIdx];
+    const pip = landmarks[pipIdx];
+
+    const dTip = (tip.x - wrist.x) ** 2 + (tip.y - wrist.y) ** 2;
+    const dPip = (pip.x - wrist.x) ** 2 + (pip.y - wrist.y) ** 2;
+
+    return dTip < dPip;
+}
+
+function closedFraction(landmarks, fingerNames) {
+    let closed = 0;
+    for (const name of fingerNames) {
+        const { tip, pip } = FINGERS[name];
+        if (isFingerClosed(landmarks, tip, pip)) closed++;
+    }
+    return closed / fingerNames.length;
+}
+
+function distance2D(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+// ---- Built-in Detectors ----
+
+// All four fingers closed (thumb ignored for stability)
+function detectFist(landmarks) {
+    return { confidence: closedFraction(landmarks, ['index', 'middle', 'ring', 'pinky']) };
+}
+
+// All four fingers open
+function detectOpenHand(landmarks) {
+    return { confidence: 1 - closedFraction(landmarks, ['index', 'middle', 'ring', 'pinky']) };
+}
+
+// Index and middle up, ring and pinky folded (the "V" for photos)
+function detectPeace(landmarks) {
+    const open = 1 - closedFraction(landmarks, ['index', 'middle']);
+    const folded = closedFraction(landmarks, ['ring', 'pinky']);
+    return { confidence: open * folded };
+}
+
+// Strict zoom guard: middle/ring/pinky closed, thumb-index pinch drives the value.
+// Pinch distance range 0.02 (closed) to 0.18 (fully open) → pinchFactor 0-1.
+// No extra smoothing: HandTracker already One-Euro filters the landmarks.
+const MIN_PINCH = 0.02;
+const MAX_PINCH = 0.18;
+
+function detectZoomPinch(landmarks) {
+    const pinchDistance = distance2D(landmarks[4], landmarks[8]);
+
+    const clamped = Math.max(MIN_PINCH, Math.min(MAX_PINCH, pinchDistance));
+    const pinchFactor = (clamped - MIN_PINCH) / (MAX_PINCH - MIN_PINCH);
+
+    return {
+        confidence: closedFraction(landmarks, ['middle', 'ring', 'pinky']),
+        data: { pinchDistance, pinchFactor },
+    };
+}
+
+// Thumb tip touching index tip (any other finger pose)
+const TOUCH_DISTANCE = 0.03;
+const APART_DISTANCE = 0.08;
+
+function detectPinch(landmarks) {
+    const d = distance2D(landmarks[4], landmarks[8]);
+    const t = (d - TOUCH_DISTANCE) / (APART_DISTANCE - TOUCH_DISTANCE);
+    return { confidence: 1 - Math.max(0, Math.min(1, t)), data: { distance: d } };
+}
+
+// ============================================
+// Registry
+// ============================================
+class GestureRegistry {
+    constructor() {
+        this.gestures = new Map();   // name → { detect, hands, enter, exit, debounceFrames }
+        this.states = new Map();     // `${hand}:${name}` → runtime state
+        this.listeners = {
+            gesturestart: [],
+            gesturechange: [],
+            gestureend: [],
+        };
+    }
+
+    /**
+     * Register a gesture detector.
+     * detect(landmarks, memory) → { confidence, data? }
+     * `memory` is a per-hand scratch object the detector may keep state in.
+     */
+    register(name, detect, options = {}) {
+        this.gestures.set(name, {
+            detect,
+            hands: options.hands || ['left', 'right'],
+            enter: options.enter ?? DEFAULTS.enter,
+            exit: options.exit ?? DEFAULTS.exit,
+            debounceFrames: options.debounceFrames ?? DEFAULTS.debounceFrames,
+        });
+        return this;
+    }
+
+    unregister(name) {
+        for (const hand of ['left', 'right']) this._end(hand, name);
+        this.gestures.delete(name);
+        for (const key of [...this.states.keys()]) {
+            if (key.endsWith(`:${name}`)) this.states.delete(key);
+        }
+    }
+
+    on(type, fn) {
+        this.listeners[type].push(fn);
+        return () => this.off(type, fn);
+    }
+
+    off(type, fn) {
+        this.listeners[type] = this.listeners[type].filter(l => l !== fn);
+    }
+
+    isActive(hand, name) {
+        const state = this.states.get(`${hand}:${name}`);
+        return !!(state && state.active);
+    }
+
+    getConfidence(hand, name) {
+        const state = this.states.get(`${hand}:${name}`);
+        return state ? state.confidence : 0;
+    }
+
+    // Run every detector registered for this hand on a new landmark frame
+    update(hand, landmarks) {
+        for (const [name, gesture] of this.gestures) {
+            if (!gesture.hands.includes(hand)) continue;
+
+            const state = this._state(hand, name);
+            const result = gesture.detect(landmarks, state.memory) || { confidence: 0 };
+            state.confidence = result.confidence;
+            state.data = result.data || null;
+
+            // Hysteresis: different thresholds to enter and leave
+            const wantActive = state.active
+                ? result.confidence >= gesture.exit
+                : result.confidence >= gesture.enter;
+
+            // Debounce: the flipped condition must hold for N consecutive frames
+            if (wantActive !== state.active) {
+                state.pendingFrames++;
+                if (state.pendingFrames > gesture.debounceFrames) {
+                    state.pendingFrames = 0;
+                    state.active = wantActive;
+                    this._emit(wantActive ? 'gesturestart' : 'gestureend', hand, name, state, landmarks);
+                }
+            } else {
+                state.pendingFrames = 0;
+            }
+
+            if (state.active) this._emit('gesturechange', hand, name, state, landmarks);
+        }
+    }
+
+    // Hand left the frame: end every active gesture and forget detector memory
+    reset(hand) {
+        for (const name of this.gestures.keys()) {
+            this._end(hand, name);
+            this.states.delete(`${hand}:${name}`);
+        }
+    }
+
+    _end(hand, name) {
+        const state = this.states.get(`${hand}:${name}`);
+        if (state && state.active) {
+            state.active = false;
+            state.confidence = 0;
+            this._emit('gestureend', hand, name, state, null);
+        }
+    }
+
+    _state(hand, name) {
+        const key = `${hand}:${name}`;
+        let state = this.states.get(key);
+        if (!state) {
+            state = { active: false, confidence: 0, data: null, pendingFrames: 0, memory: {} };
+            this.states.set(key, state);
+        }
+        return state;
+    }
+
+    _emit(type, hand, name, state, landmarks) {
+        this.emit({
+            type,
+            gesture: name,
+            hand,
+            confidence: state.confidence,
+            data: state.data,
+            landmarks,
+        });
+    }
+
+    // Deliver an event to this registry's listeners (also used to forward
+    // per-person events, which carry an extra `person` id)
+    emit(event) {
+        for (const fn of this.listeners[event.type]) fn(event);
+    }
+}
+
+export function createDefaultGestures() {
+    return new GestureRegistry()
+        .register('fist', detectFist, { enter: 1, exit: 0.75 })
+        .register('openHand', detectOpenHand, { enter: 1, exit: 0.75 })
+        .register('zoomPinch', detectZoomPinch, { enter: 1, exit: 1 })
+        .register('pinch', detectPinch, { enter: 0.8, exit: 0.3 })
+        .register('peace', detectPeace, { enter: 1, exit: 0.5, debounceFrames: 3 });
+}
+
+export default GestureRegistry;
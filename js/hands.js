@@ -6,7 +6,24 @@
    ─ Two hands = left positions, right scales/rotates
    ─ Two hands must be spatially separated (prevents
      MediaPipe from splitting one hand into two)
+   ─ Two-hand mode (app.js): both palms hold the globe;
+     onBothHands reports the pair once per frame
    ─ Manual frame sending (no MediaPipe Camera)
+   ─ Detection comes from a pluggable backend
+     (backends.js): Tasks HandLandmarker with a
+     self-hosted model, or the legacy solution
+   ─ Inference runs in a Web Worker when the
+     backend allows (tracking-worker.js), so slow
+     frames never stall rendering
+   ─ Hands keep an id across frames (identity.js):
+     handedness is voted over a short window and
+     one or two missed frames don't lose the hand
+   ─ Multi-user (setMaxPeople): up to four hands
+     are grouped into people (people.js); each
+     person gets a sub-tracker with the rules
+     above, and callbacks receive the person id
+   ─ Input is pluggable: live MediaPipe frames, or a
+     recorded landmark file replayed via LandmarkReplay
    ─ Optimized for M4 Mac Mini
    ============================================ */
 
@@ -14,23 +31,53 @@
    TerraHold — Hand Tracking Module (ES Module)
    ============================================ */
 
+import { LandmarkRecorder } from './replay.js';
+import { createDefaultGestures } from './gestures.js';
+import { LandmarkFilter, OneEuroFilter, DEFAULT_FILTER_PARAMS } from './filters.js';
+import { BACKENDS, BACKEND_ORDER, createBackend } from './backends.js';
+import PeopleTracker from './people.js';
+import HandIdentityTracker from './identity.js';
+
 const CONFIG = {
-    BUFFER_SIZE_POSITION: 3,
-    BUFFER_SIZE_PINCH: 3,
     MIN_HAND_SEPARATION: 0.18,
     MIN_HAND_SEPARATION: 0.18,
     PINCH_THRESHOLD: 0.05,        // Distance to trigger "pinch" state
     PINCH_RELEASE_THRESHOLD: 0.08, // Distance to exit "pinch" state
     CLUTCH_VELOCITY_THRESHOLD: 0.02, // Rapid opening speed to disengage
+    REFERENCE_PALM_SPAN: 0.11,    // Palm span (× frame width) at a comfortable arm's length → depth 1
+    DEFAULT_ASPECT: 16 / 9,       // Frame aspect when there is no video (replay)
+    // Palm span is noisier than position: heavier, prediction-free filtering
+    DEPTH_FILTER: { enabled: true, minCutoff: 0.5, beta: 2, dCutoff: 1.0, prediction: 0 },
+    WORKER_INIT_TIMEOUT: 20000,   // ms to load the model in the worker before falling back
+    LATENCY_SMOOTHING: 0.1,       // EMA factor for the latency readout
+    MAX_PEOPLE: 2,                // Two hands each: four hands is the detector's practical limit
 };
 
+// HUD name of a person until the app names them (by stable person id)
+function defaultPersonLabel(id) {
+    return `P${id + 1}`;
+}
+
 class HandTracker {
-    constructor() {
-        this.handsInstance = null;
+    // `filterParams` lets per-person trackers share the main tracker's params
+    constructor({ filterParams = null } = {}) {
+        this.backend = null;         // Main-thread backend (see backends.js)
+        this.worker = null;          // Tracking worker hosting the backend (preferred)
+        this.backendName = null;     // 'tasks' | 'legacy' once initialized
         this.videoElement = null;
         this.isReady = false;
         this._isProcessing = false;
         this._firstResultReceived = false;
+        this._lastVideoTime = -1;    // Only send each video frame once
+
+        // Tracking rate & capture → landmarks latency (see getStats)
+        this.stats = { fps: 0, latency: 0, droppedFrames: 0 };
+        this._statsCount = 0;
+        this._statsStart = performance.now();
+
+        // Input source (null = live MediaPipe) & recording
+        this.replay = null;
+        this.recorder = new LandmarkRecorder();
 
         // Hand state
         this.leftHandDetected = false;
@@ -40,75 +87,397 @@ class HandTracker {
         // Palm positions (normalized 0-1)
         this.leftPalm = { x: 0.5, y: 0.5 };
         this.rightPalm = { x: 0.5, y: 0.5 };
+        this.prevLeftPalm = null;
         this.prevRightPalm = null;
-
-        // Pinch state
-        this.pinchDistance = 0;
-        this.prevPinchDistance = 0;
-        this.isZooming = false;
-        this.startPinchDistance = 0;
+        this.prevRollAngle = { left: null, right: null }; // Wrist roll tracking
+        this.prevTwistAngle = null; // Angle of the left → right palm line
+        this.minHandSeparation = CONFIG.MIN_HAND_SEPARATION;
         this._rightHandActive = false;
 
-        // Buffers
-        this.leftPalmBuffer = [];
-        this.rightPalmBuffer = [];
-        this.pinchBuffer = [];
-
-        // Callbacks
+        // Stable hand ids & voted handedness (see identity.js)
+        this.identity = new HandIdentityTracker();
+        this.leftHandId = null;
+        this.rightHandId = null;
+
+        // Gesture detectors (see gestures.js)
+        this.gestures = createDefaultGestures();
+
+        // Relative distance from the camera (1 = reference, 2 = twice as far)
+        this.leftDepth = 1;
+        this.rightDepth = 1;
+
+        // Filtered landmarks of the current frame (raw ones go to the callbacks too)
+        this.leftLandmarks = null;
+        this.rightLandmarks = null;
+
+        // One-Euro filters (see filters.js); params shared so sliders apply live
+        this.filterParams = filterParams || { ...DEFAULT_FILTER_PARAMS };
+        this.landmarkFilters = {
+            left: new LandmarkFilter(this.filterParams),
+            right: new LandmarkFilter(this.filterParams),
+        };
+        this.depthFilters = {
+            left: new OneEuroFilter(CONFIG.DEPTH_FILTER),
+            right: new OneEuroFilter(CONFIG.DEPTH_FILTER),
+        };
+        this._frameTime = 0;
+
+        // Multi-user (see setMaxPeople): one sub-tracker per person
+        this.maxPeople = 1;
+        this.numHands = 2;           // Hands the backend looks for
+        this.people = new PeopleTracker();
+        this.personTrackers = new Map(); // person id → HandTracker
+        this.showStatus = true;      // Sub-trackers leave the HUD to the main tracker
+
+        // Callbacks (multi-user: the person id is passed as a second argument)
         this.onLeftHand = null;
         this.onRightHand = null;
         this.onHandsLost = null;
+        this.onBothHands = null;
+        this.onPersonLost = null;    // (id) once a person has left for good
+        this.personLabel = defaultPersonLabel; // (id) → HUD name (see setCallbacks)
     }
 
-    async init(videoElement) {
+    /**
+     * Start the first backend that works. `backend` is 'auto' (Tasks, then
+     * legacy) or a BACKENDS key; throws if none can start.
+     */
+    async init(videoElement, { backend = 'auto', useWorker = true } = {}) {
         this.videoElement = videoElement;
 
-        if (typeof Hands === 'undefined') {
-            console.error('❌ MediaPipe Hands not loaded.');
-            return;
+        const candidates = BACKENDS[backend] ? [backend] : BACKEND_ORDER;
+        for (const name of candidates) {
+            if (useWorker && BACKENDS[name].workerSafe && await this._initWorker(name)) break;
+            if (await this._initLocal(name)) break;
         }
 
-        console.log('🖐️ Initializing MediaPipe Hands...');
+        if (!this.backendName) throw new Error('No hand tracking backend could start');
+        this.isReady = true;
+        console.log(`✅ Hand tracking initialized (${this.backendName}, ${this.worker ? 'worker' : 'main thread'})`);
+    }
+
+    // Resolves true once the backend is ready on the main thread
+    async _initLocal(name) {
+        console.log(`🖐️ Initializing ${BACKENDS[name].label} hand tracking...`);
+        const backend = createBackend(name, { numHands: this.numHands });
+        try {
+            await backend.init();
+        } catch (err) {
+            console.warn(`⚠️ ${BACKENDS[name].label} backend failed:`, err.message);
+            return false;
+        }
+        this.backend = backend;
+        this.backendName = name;
+        return true;
+    }
 
-        this.handsInstance = new Hands({
-            locateFile: (file) => {
-                return `https://cdn.jsdelivr.net/npm/@mediapipe/hands@0.4.1675469240/${file}`;
+    // Resolves true once the worker has loaded the backend, false on failure
+    _initWorker(name) {
+        console.log(`🖐️ Initializing ${BACKENDS[name].label} hand tracking in a worker...`);
+
+        return new Promise((resolve) => {
+            let worker;
+            try {
+                worker = new Worker(new URL('./tracking-worker.js', import.meta.url), { type: 'module' });
+            } catch (err) {
+                console.warn('⚠️ Tracking worker unavailable:', err.message);
+                resolve(false);
+                return;
             }
-        });
 
-        this.handsInstance.setOptions({
-            maxNumHands: 2,
-            modelComplexity: 1,
-            minDetectionConfidence: 0.5,
-            minTrackingConfidence: 0.4,
-        });
+            const fail = (reason) => {
+                clearTimeout(timer);
+                worker.terminate();
+                console.warn(`⚠️ Tracking worker failed (${reason}), trying the main thread`);
+                resolve(false);
+            };
+            const timer = setTimeout(() => fail('timeout'), CONFIG.WORKER_INIT_TIMEOUT);
+
+            worker.onerror = (e) => fail(e.message || 'script error');
+            worker.onmessage = (e) => {
+                if (e.data.type === 'ready') {
+                    clearTimeout(timer);
+                    this.worker = worker;
+                    this.backendName = name;
+                    worker.onerror = (err) => this._onWorkerFailure(err.message);
+                    worker.onmessage = (msg) => this._onWorkerMessage(msg.data);
+                    resolve(true);
+                } else if (e.data.type === 'error') {
+                    fail(e.data.message);
+                }
+            };
 
-        this.handsInstance.onResults((results) => this._processResults(results));
+            worker.postMessage({ type: 'init', backend: name, numHands: this.numHands });
+        });
+    }
 
-        this.handsInstance.onResults((results) => this._processResults(results));
+    _onWorkerMessage(msg) {
+        if (msg.type === 'results') {
+            this._isProcessing = false;
+            this._recordStats(performance.now() - msg.sentAt);
+            // A replay may have started while the frame was in flight
+            if (!this.replay) this._processResults(msg);
+        } else if (msg.type === 'frameError') {
+            // One bad frame: drop it and keep the worker
+            this._isProcessing = false;
+            this._dropFrame(msg.message);
+        } else if (msg.type === 'error') {
+            this._onWorkerFailure(msg.message);
+        }
+    }
 
-        this.isReady = true;
-        console.log('✅ Hand tracking initialized');
+    // The worker itself broke (options failed, script error): carry on without it
+    async _onWorkerFailure(reason) {
+        const worker = this.worker;
+        if (!worker) return; // Already falling back
+        console.warn(`⚠️ Tracking worker error (${reason}), switching to the main thread`);
+        const name = this.backendName;
+        worker.onmessage = null;
+        worker.onerror = null;
+        worker.terminate();
+        this.worker = null;
+        this.backendName = null;
+        this._isProcessing = true; // Hold frames until a backend is back
+
+        for (const candidate of [name, ...BACKEND_ORDER.filter(n => n !== name)]) {
+            if (await this._initLocal(candidate)) break;
+        }
+        this._isProcessing = false;
+        if (!this.backendName) console.error('❌ Hand tracking lost: no backend could restart');
     }
 
-    async processFrame() {
+    // Called every render frame; never waits for inference
+    processFrame() {
+        // Replay source drives results directly, no inference needed
+        if (this.replay) {
+            this.replay.tick();
+            return;
+        }
+
         if (this._isProcessing) return;
-        if (!this.handsInstance || !this.videoElement) return;
-        if (this.videoElement.readyState < 2) return;
+        if (!this.videoElement || this.videoElement.readyState < 2) return;
+        if (this.videoElement.currentTime === this._lastVideoTime) return;
+        this._lastVideoTime = this.videoElement.currentTime;
+
+        if (this.worker) this._sendToWorker();
+        else if (this.backend) this._sendToBackend();
+    }
+
+    async _sendToWorker() {
+        this._isProcessing = true;
+        const sentAt = performance.now();
+        try {
+            const bitmap = await createImageBitmap(this.videoElement);
+            this.worker.postMessage({ type: 'frame', bitmap, sentAt }, [bitmap]);
+        } catch (e) {
+            this._isProcessing = false;
+            this._dropFrame(e.message);
+        }
+    }
 
+    async _sendToBackend() {
         this._isProcessing = true;
+        const sentAt = performance.now();
         try {
-            await this.handsInstance.send({ image: this.videoElement });
-        } catch (e) { /* frame drop */ }
+            const results = await this.backend.detect(this.videoElement, sentAt);
+            this._recordStats(performance.now() - sentAt);
+            if (!this.replay) this._processResults(results);
+        } catch (e) {
+            this._dropFrame(e.message);
+        }
         this._isProcessing = false;
     }
 
+    _dropFrame(reason) {
+        this.stats.droppedFrames++;
+        if (this.debugEnabled) console.warn(`⚠️ Tracking frame dropped (${reason})`);
+    }
+
+    // ---- Stats ----
+
+    _recordStats(latency) {
+        const now = performance.now();
+        this.stats.latency = this.stats.latency === 0
+            ? latency
+            : this.stats.latency + (latency - this.stats.latency) * CONFIG.LATENCY_SMOOTHING;
+
+        this._statsCount++;
+        if (now - this._statsStart >= 1000) {
+            this.stats.fps = Math.round(this._statsCount * 1000 / (now - this._statsStart));
+            this._statsCount = 0;
+            this._statsStart = now;
+        }
+    }
+
+    /**
+     * Tracking rate (inference results per second), smoothed capture →
+     * landmarks latency in ms, frames dropped on inference errors, the
+     * backend, and where inference runs.
+     */
+    getStats() {
+        const source = this.replay ? 'replay' : this.worker ? 'worker' : 'main';
+        // No results for a while: the rate has dropped to nothing
+        const stale = performance.now() - this._statsStart > 2000;
+        return {
+            fps: stale ? 0 : this.stats.fps,
+            latency: this.stats.latency,
+            droppedFrames: this.stats.droppedFrames,
+            backend: this.backendName,
+            source,
+        };
+    }
+
+    // ---- Input Source ----
+
+    setReplaySource(replay) {
+        this.clearReplaySource();
+        this.replay = replay;
+        this.replay.onResults = (results) => this._processResults(results);
+        this._resetTrackingState();
+        console.log('📼 Hand tracker switched to replay source');
+    }
+
+    clearReplaySource() {
+        if (!this.replay) return;
+        this.replay.pause();
+        this.replay.onResults = null;
+        this.replay = null;
+        this._resetTrackingState();
+        console.log('🎥 Hand tracker switched to live source');
+    }
+
+    // Two-hand mode holds the palms closer together than split detections
+    setMinHandSeparation(value = CONFIG.MIN_HAND_SEPARATION) {
+        this.minHandSeparation = value;
+        for (const tracker of this.personTrackers.values()) tracker.minHandSeparation = value;
+    }
+
+    // ---- People ----
+
+    /**
+     * Track up to `count` people (two hands each). Everyone currently
+     * tracked is dropped; the backend is told how many hands to look for.
+     */
+    setMaxPeople(count) {
+        this.maxPeople = Math.max(1, Math.min(CONFIG.MAX_PEOPLE, count));
+        this.numHands = this.maxPeople * 2;
+        this.people.setMaxPeople(this.maxPeople);
+        this._resetTrackingState();
+
+        if (this.worker) this.worker.postMessage({ type: 'options', numHands: this.numHands });
+        else if (this.backend) {
+            this.backend.setNumHands(this.numHands).catch((err) => {
+                console.warn(`⚠️ Could not track ${this.numHands} hands, still using the previous count:`, err.message);
+            });
+        }
+        this._updateStatusUI(false, false);
+        console.log(`👥 Tracking up to ${this.maxPeople} ${this.maxPeople === 1 ? 'person' : 'people'}`);
+    }
+
+    // The tracker holding a person's hand state (the main tracker in single-user mode)
+    getPerson(id = 0) {
+        if (this.maxPeople === 1) return this;
+        return this.personTrackers.get(id) || null;
+    }
+
+    _personTracker(id) {
+        let tracker = this.personTrackers.get(id);
+        if (tracker) return tracker;
+
+        tracker = new HandTracker({ filterParams: this.filterParams });
+        tracker.videoElement = this.videoElement;
+        tracker.minHandSeparation = this.minHandSeparation;
+        tracker.debugEnabled = this.debugEnabled;
+        tracker.showStatus = false;
+        tracker.setCallbacks({
+            onLeftHand: this.onLeftHand && ((data) => this.onLeftHand(data, id)),
+            onRightHand: this.onRightHand && ((data) => this.onRightHand(data, id)),
+            onHandsLost: this.onHandsLost && (() => this.onHandsLost(id)),
+            onBothHands: this.onBothHands && ((data) => this.onBothHands(data, id)),
+        });
+        // Listeners subscribe once, on the main tracker's registry
+        for (const type of ['gesturestart', 'gesturechange', 'gestureend']) {
+            tracker.gestures.on(type, (e) => this.gestures.emit({ ...e, person: id }));
+        }
+
+        this.personTrackers.set(id, tracker);
+        return tracker;
+    }
+
+    _processPeople(results) {
+        const { active, lost } = this.people.update(results, this._frameTime);
+
+        for (const id of lost) {
+            const tracker = this.personTrackers.get(id);
+            this.personTrackers.delete(id);
+            if (tracker) tracker._processHands({ multiHandLandmarks: [] }); // Ends its gestures
+            if (this.onPersonLost) this.onPersonLost(id);
+        }
+
+        for (const { id, results: personResults } of active) {
+            const tracker = this._personTracker(id);
+            tracker._frameTime = this._frameTime;
+            tracker._processHands(personResults);
+        }
+
+        this.handsCount = results.multiHandLandmarks ? results.multiHandLandmarks.length : 0;
+        this._updatePeopleStatusUI();
+    }
+
+    startRecording() {
+        this.recorder.start();
+    }
+
+    stopRecording() {
+        return this.recorder.stop();
+    }
+
+    _resetTrackingState() {
+        this.identity.reset();
+        this.people.reset();
+        this.personTrackers.clear();
+        this._rightHandActive = false;
+        this.prevLeftPalm = null;
+        this.prevRightPalm = null;
+        this.prevRollAngle = { left: null, right: null };
+        this.prevTwistAngle = null;
+        this._resetFilters('left');
+        this._resetFilters('right');
+        this.gestures.reset('left');
+        this.gestures.reset('right');
+    }
+
     _processResults(results) {
+        // Only live results are recorded (replaying a replay is pointless)
+        if (!this.replay) this.recorder.record(results);
+        // Replays run on their recorded clock, so they reproduce the session exactly
+        this._frameTime = this.replay && results.t !== undefined ? results.t : performance.now();
+
         if (!this._firstResultReceived) {
             this._firstResultReceived = true;
             console.log('🖐️ First hand tracking result received!');
         }
 
+        // Stable ids and handedness first; hands beyond what the backend
+        // was asked for are coasting duplicates
+        const tracked = this.identity.update(results, this._frameTime, this.numHands);
+
+        if (this.maxPeople > 1) this._processPeople(tracked);
+        else this._processHands(tracked);
+    }
+
+    /**
+     * Hands tracked in the current frame: { id, label, confidence (of the
+     * handedness vote), score, palm, velocity, age, missed } (see identity.js).
+     */
+    getTrackedHands() {
+        return this.identity.getHands();
+    }
+
+    // One person's hands (all hands in single-user mode)
+    _processHands(results) {
+        const ids = results.handIds || [];
+
         // No hands
         if (!results.multiHandLandmarks || results.multiHandLandmarks.length === 0) {
             this.handsCount = 0;
@@ -116,6 +485,7 @@ class HandTracker {
             this.rightHandDetected = false;
             this._rightHandActive = false;
             this.prevRightPalm = null;
+            this._resetLostHands();
             this._updateStatusUI(false, false);
             if (this.onHandsLost) this.onHandsLost();
             return;
@@ -137,17 +507,16 @@ class HandTracker {
                 // It IS the Left Hand
                 this._rightHandActive = false;
                 this.prevRightPalm = null;
-                // Clear right hand buffers
-                this.rightPalmBuffer = [];
-                this.pinchBuffer = [];
+                // Clear right hand filters
+                this._resetFilters('right');
 
-                this._processLeftHand(results.multiHandLandmarks[0]);
+                this._processLeftHand(results.multiHandLandmarks[0], ids[0]);
             } else {
                 // It IS the Right Hand (User's Right)
                 // We process it so rotation/scale works IF earth is visible (which it won't be, usually)
                 // But specifically for "Right hand alone", earth shouldn't show.
                 // Since this.leftHandDetected is false, Earth remains hidden in app.js.
-                this._processRightHand(results.multiHandLandmarks[0]);
+                this._processRightHand(results.multiHandLandmarks[0], ids[0]);
             }
 
         } else if (numHands === 2) {
@@ -159,7 +528,7 @@ class HandTracker {
             const dy = palm0.y - palm1.y;
             const separation = Math.sqrt(dx * dx + dy * dy);
 
-            if (separation < CONFIG.MIN_HAND_SEPARATION) {
+            if (separation < this.minHandSeparation) {
                 // Too close — MediaPipe is splitting one hand into two.
                 // Treat as single hand (position only).
                 this.handsCount = 1;
@@ -167,12 +536,11 @@ class HandTracker {
                 this.rightHandDetected = false;
                 this._rightHandActive = false;
                 this.prevRightPalm = null;
-                this.rightPalmBuffer = [];
-                this.pinchBuffer = [];
+                this._resetFilters('right');
 
                 // Use the average of both as the palm center
                 const avgLandmarks = results.multiHandLandmarks[0]; // Just use first
-                this._processLeftHand(avgLandmarks);
+                this._processLeftHand(avgLandmarks, ids[0]);
 
             } else {
                 // Truly two separate hands
@@ -204,30 +572,66 @@ class HandTracker {
 
                 this.leftHandDetected = true;
                 this.rightHandDetected = true;
-                this._processLeftHand(results.multiHandLandmarks[leftIdx]);
-                this._processRightHand(results.multiHandLandmarks[rightIdx]);
+                this._processLeftHand(results.multiHandLandmarks[leftIdx], ids[leftIdx]);
+                this._processRightHand(results.multiHandLandmarks[rightIdx], ids[rightIdx]);
+
+                if (this.onBothHands) {
+                    this.onBothHands({
+                        leftPalm: this.leftPalm,
+                        rightPalm: this.rightPalm,
+                        leftDepth: this.leftDepth,
+                        rightDepth: this.rightDepth,
+                        twistDelta: this._twistDelta(),
+                        leftLandmarks: this.leftLandmarks,
+                        rightLandmarks: this.rightLandmarks,
+                    });
+                }
             }
         }
 
+        this._resetLostHands();
         this._updateStatusUI(this.leftHandDetected, this.rightHandDetected);
     }
 
-    // ---- Smoothing ----
+    // ---- Filtering ----
+
+    /**
+     * Tune the landmark filters: { enabled, minCutoff, beta, dCutoff, prediction }.
+     * Palm, pinch and gestures all derive from the filtered landmarks.
+     */
+    setFilterParams(params) {
+        Object.assign(this.filterParams, params);
+    }
+
+    _resetFilters(hand) {
+        this.landmarkFilters[hand].reset();
+        this.depthFilters[hand].reset();
+    }
+
+    // ---- Depth ----
+
+    _aspect() {
+        const v = this.videoElement;
+        return v && v.videoWidth ? v.videoWidth / v.videoHeight : CONFIG.DEFAULT_ASPECT;
+    }
 
-    _smoothPosition(buffer, newPos) {
-        buffer.push({ ...newPos });
-        if (buffer.length > CONFIG.BUFFER_SIZE_POSITION) buffer.shift();
-        let sx = 0, sy = 0;
-        for (const p of buffer) { sx += p.x; sy += p.y; }
-        return { x: sx / buffer.length, y: sy / buffer.length };
+    // Palm size in frame-width units, measured in 3D: landmark z (same scale
+    // as x) undoes the foreshortening when the palm tilts away from the camera.
+    // Uses the wrist / index MCP / pinky MCP triangle, which fingers can't bend.
+    _palmSpan(landmarks) {
+        const aspect = this._aspect();
+        const dist = (a, b) => Math.hypot(
+            landmarks[a].x - landmarks[b].x,
+            (landmarks[a].y - landmarks[b].y) / aspect,
+            landmarks[a].z - landmarks[b].z
+        );
+        return (dist(0, 5) + dist(0, 17) + dist(5, 17)) / 3;
     }
 
-    _smoothValue(buffer, newVal) {
-        buffer.push(newVal);
-        if (buffer.length > CONFIG.BUFFER_SIZE_PINCH) buffer.shift();
-        let sum = 0;
-        for (const v of buffer) sum += v;
-        return sum / buffer.length;
+    // Apparent size falls off with distance: depth ∝ 1 / span
+    _estimateDepth(hand, landmarks) {
+        const span = this._palmSpan(landmarks);
+        return this.depthFilters[hand].filter(CONFIG.REFERENCE_PALM_SPAN / Math.max(span, 1e-4), this._frameTime);
     }
 
     _calculatePalmCenter(landmarks) {
@@ -242,102 +646,59 @@ class HandTracker {
 
     // ---- Hand Processing ----
 
-    // ---- Hand Processing ----
-
-    _processLeftHand(landmarks) {
-        const rawPalm = this._calculatePalmCenter(landmarks);
-        this.leftPalm = this._smoothPosition(this.leftPalmBuffer, rawPalm);
-
-        // Check Finger States (Index, Middle, Ring, Pinky)
-        const indexClosed = this._isFingerClosed(landmarks, 8, 6);
-        const middleClosed = this._isFingerClosed(landmarks, 12, 10);
-        const ringClosed = this._isFingerClosed(landmarks, 16, 14);
-        const pinkyClosed = this._isFingerClosed(landmarks, 20, 18);
+    _processLeftHand(rawLandmarks, id = null) {
+        this._setHandId('left', id);
+        const landmarks = this.landmarkFilters.left.filter(rawLandmarks, this._frameTime);
+        this.leftLandmarks = landmarks;
+        this.leftPalm = this._calculatePalmCenter(landmarks);
+        this.leftDepth = this._estimateDepth('left', landmarks);
 
-        const closedCount = (indexClosed ? 1 : 0) + (middleClosed ? 1 : 0) + (ringClosed ? 1 : 0) + (pinkyClosed ? 1 : 0);
+        // Gesture detectors (fist, openHand, ...) emit their events first,
+        // so listeners see up-to-date gesture state inside onLeftHand
+        this.gestures.update('left', landmarks);
 
-        // "Close all fingers" -> 4 closed (ignoring thumb for stability)
-        const isFist = closedCount === 4;
-
-        // "Open at least 4 fingers" -> 0 closed (all 4 open)
-        const isOpenHand = closedCount === 0;
+        // Swipe delta (lets the bindings put rotation on either hand)
+        let rotDelta = { x: 0, y: 0 };
+        if (this.prevLeftPalm) {
+            rotDelta = {
+                x: this.leftPalm.x - this.prevLeftPalm.x,
+                y: this.leftPalm.y - this.prevLeftPalm.y,
+            };
+        }
+        this.prevLeftPalm = { ...this.leftPalm };
 
-        // Left hand sends position data AND gesture states
         if (this.onLeftHand) {
             this.onLeftHand({
                 palmCenter: this.leftPalm,
-                landmarks: landmarks, // Raw landmarks for skeleton
-                isFist: isFist,
-                isOpenHand: isOpenHand,
+                depth: this.leftDepth,
+                rotationDelta: rotDelta,
+                rollDelta: this._rollDelta('left', landmarks),
+                landmarks: landmarks, // Filtered landmarks for skeleton
+                rawLandmarks: rawLandmarks,
+                handId: id,
                 isRightHandDetected: this.rightHandDetected
             });
         }
     }
 
-    _processRightHand(landmarks) {
-        const rawPalm = this._calculatePalmCenter(landmarks);
-        this.rightPalm = this._smoothPosition(this.rightPalmBuffer, rawPalm);
-
-        // Analyze Finger States (Strict Zoom Guard)
-        // Middle (12), Ring (16), Pinky (20) must be CLOSED
-        // PIP joints: Middle(10), Ring(14), Pinky(18)
-        const middleClosed = this._isFingerClosed(landmarks, 12, 10);
-        const ringClosed = this._isFingerClosed(landmarks, 16, 14);
-        const pinkyClosed = this._isFingerClosed(landmarks, 20, 18);
-
-        // Strict Rule: ALL three must be closed to allow resizing
-        const isStrictGestureValid = middleClosed && ringClosed && pinkyClosed;
-
-        // Pinch distance: thumb tip (4) ↔ index tip (8)
-        const thumbTip = landmarks[4];
-        const indexTip = landmarks[8];
-        const dx = thumbTip.x - indexTip.x;
-        const dy = thumbTip.y - indexTip.y;
-        const rawDistance = Math.sqrt(dx * dx + dy * dy);
-        this.pinchDistance = this._smoothValue(this.pinchBuffer, rawDistance);
+    _processRightHand(rawLandmarks, id = null) {
+        this._setHandId('right', id);
+        const landmarks = this.landmarkFilters.right.filter(rawLandmarks, this._frameTime);
+        this.rightLandmarks = landmarks;
+        this.rightPalm = this._calculatePalmCenter(landmarks);
+        this.rightDepth = this._estimateDepth('right', landmarks);
 
+        this.gestures.update('right', landmarks);
 
         // ---- DEBUG LOGGING ----
         if (this.debugEnabled) {
-            // Throttle logs slightly or just log on strict state change?
-            // Real-time requested: "active hapen in the rela time"
-            console.log(`%c[HandDebug] Right Hand Stats:
-            Middle Closed: ${middleClosed}
-            Ring Closed:   ${ringClosed}
-            Pinky Closed:  ${pinkyClosed}
-            Strict Valid:  ${isStrictGestureValid ? '✅ YES' : '❌ NO'}
-            Pinch Dist:    ${this.pinchDistance.toFixed(3)}
-            Zooming:       ${this.isZooming}`,
-                isStrictGestureValid ? 'color: green; font-weight: bold;' : 'color: red;'
+            const zoom = this.gestures.isActive('right', 'zoomPinch');
+            console.log(`%c[HandDebug] Right Hand Gestures:
+            Zoom Pinch:  ${zoom ? '✅ YES' : '❌ NO'} (${this.gestures.getConfidence('right', 'zoomPinch').toFixed(2)})
+            Fist:        ${this.gestures.getConfidence('right', 'fist').toFixed(2)}
+            Open Hand:   ${this.gestures.getConfidence('right', 'openHand').toFixed(2)}`,
+                zoom ? 'color: green; font-weight: bold;' : 'color: red;'
             );
-
-            if (!isStrictGestureValid && this.isZooming) {
-                console.warn('⚠️ Gesture Invalidated! Forced STOP resizing.');
-            }
-        }
-
-
-        // ---- ABSOLUTE PINCH LOGIC (Direct Mapping) ----
-        // 1. Calculate Normalized Pinch (0.0 to 1.0)
-        // Range: 0.02 (closed) to 0.18 (fully open)
-        const MIN_PINCH = 0.02;
-        const MAX_PINCH = 0.18;
-
-        let pinchFactor = 0; // 0 = detected but closed, 1 = detected and open
-
-        if (isStrictGestureValid) {
-            // Clamp and normalize
-            const clampedDist = Math.max(MIN_PINCH, Math.min(MAX_PINCH, this.pinchDistance));
-            pinchFactor = (clampedDist - MIN_PINCH) / (MAX_PINCH - MIN_PINCH);
-
-            this.isZooming = true; // Re-purposing this flag to mean "Gesture Valid"
-
-            if (this.debugEnabled) {
-                console.log(`📏 Pinch Factor: ${pinchFactor.toFixed(2)} (Dist: ${this.pinchDistance.toFixed(3)})`);
-            }
-        } else {
-            this.isZooming = false;
-            pinchFactor = -1; // Invalid
         }
 
         // Rotation delta (only when right hand settled)
@@ -350,34 +711,88 @@ class HandTracker {
         }
 
         this._rightHandActive = true;
-        this.prevPinchDistance = this.pinchDistance;
         this.prevRightPalm = { ...this.rightPalm };
 
         if (this.onRightHand) {
             this.onRightHand({
                 palmCenter: this.rightPalm,
-                isZooming: this.isZooming, // Now means "Is Gesture Valid"
-                scaleFactor: pinchFactor,  // Now typically 0.0 to 1.0
+                depth: this.rightDepth,
                 rotationDelta: rotDelta,
+                rollDelta: this._rollDelta('right', landmarks),
                 landmarks: landmarks,
+                rawLandmarks: rawLandmarks,
+                handId: id,
                 isLeftHandDetected: this.leftHandDetected // Pass left hand state
             });
         }
     }
 
-    _isFingerClosed(landmarks, tipIdx, pipIdx) {
-        const wrist = landmarks[0];
-        const tip = landmarks[tipIdx];
-        const pip = landmarks[pipIdx];
+    // Another hand took over the slot: its filters must not blend the two
+    _setHandId(hand, id) {
+        const key = hand === 'left' ? 'leftHandId' : 'rightHandId';
+        id = id ?? null;
+        if (this[key] !== null && id !== null && this[key] !== id) this._resetFilters(hand);
+        this[key] = id;
+    }
+
+    // End gestures (and swipe tracking) of hands that are no longer in frame
+    _resetLostHands() {
+        if (!this.leftHandDetected || !this.rightHandDetected) this.prevTwistAngle = null;
+        if (!this.leftHandDetected) {
+            this.prevLeftPalm = null;
+            this.prevRollAngle.left = null;
+            this.leftHandId = null;
+            this.gestures.reset('left');
+            this._resetFilters('left');
+        }
+        if (!this.rightHandDetected) {
+            this.rightHandId = null;
+            this.prevRollAngle.right = null;
+            this.gestures.reset('right');
+            this._resetFilters('right');
+        }
+    }
 
-        // 2D Distance squared check
-        const dTip = (tip.x - wrist.x) ** 2 + (tip.y - wrist.y) ** 2;
-        const dPip = (pip.x - wrist.x) ** 2 + (pip.y - wrist.y) ** 2;
+    // Change in wrist roll since last frame (radians, counter-clockwise on
+    // the mirrored screen is positive). Uses the wrist (0) → middle MCP (9) axis.
+    _rollDelta(hand, landmarks) {
+        const wrist = landmarks[0];
+        const middleMcp = landmarks[9];
+        // Mirror X and flip Y into screen orientation
+        const angle = Math.atan2(-(middleMcp.y - wrist.y), -(middleMcp.x - wrist.x));
+
+        const prev = this.prevRollAngle[hand];
+        this.prevRollAngle[hand] = angle;
+        if (prev === null) return 0;
+
+        // Wrap into [-π, π] so crossing the ±π seam isn't a full turn
+        let delta = angle - prev;
+        if (delta > Math.PI) delta -= 2 * Math.PI;
+        if (delta < -Math.PI) delta += 2 * Math.PI;
+        return delta;
+    }
 
-        return dTip < dPip;
+    // Change in the angle of the line between both palms since last frame
+    // (radians, same orientation as _rollDelta)
+    _twistDelta() {
+        const angle = Math.atan2(
+            -(this.rightPalm.y - this.leftPalm.y),
+            -(this.rightPalm.x - this.leftPalm.x)
+        );
+
+        const prev = this.prevTwistAngle;
+        this.prevTwistAngle = angle;
+        if (prev === null) return 0;
+
+        let delta = angle - prev;
+        if (delta > Math.PI) delta -= 2 * Math.PI;
+        if (delta < -Math.PI) delta += 2 * Math.PI;
+        return delta;
     }
 
     _updateStatusUI(left, right) {
+        if (!this.showStatus || typeof document === 'undefined') return; // Headless replay
+
         const leftEl = document.getElementById('left-hand-status');
         const rightEl = document.getElementById('right-hand-status');
 
@@ -389,16 +804,61 @@ class HandTracker {
             rightEl.classList.toggle('on', right);
             rightEl.classList.toggle('off', !right);
         }
+
+        // Multi-user mode shows one entry per person instead
+        const multi = this.maxPeople > 1;
+        if (leftEl) leftEl.classList.toggle('hidden', multi);
+        if (rightEl) rightEl.classList.toggle('hidden', multi);
+        const peopleEl = document.getElementById('people-status');
+        if (peopleEl) {
+            peopleEl.classList.toggle('hidden', !multi);
+            if (multi) this._updatePeopleStatusUI();
+        }
+    }
+
+    // "P1 ● L ● R" per tracked person, or a waiting note
+    _updatePeopleStatusUI() {
+        if (typeof document === 'undefined') return;
+        const peopleEl = document.getElementById('people-status');
+        if (!peopleEl) return;
+
+        const indicator = (text, on) => {
+            const el = document.createElement('span');
+            el.className = `hand-indicator ${on ? 'on' : 'off'}`;
+            const dot = document.createElement('span');
+            dot.className = 'dot';
+            el.append(dot, ` ${text}`);
+            return el;
+        };
+
+        const entries = [];
+        for (const [id, tracker] of this.personTrackers) {
+            const entry = document.createElement('span');
+            entry.className = 'person-status';
+            const name = document.createElement('span');
+            name.className = 'person-name';
+            name.textContent = this.personLabel(id);
+            entry.append(name, indicator('L', tracker.leftHandDetected), indicator('R', tracker.rightHandDetected));
+            entries.push(entry);
+        }
+        if (entries.length === 0) {
+            entries.push(indicator(`Waiting for up to ${this.maxPeople} people`, false));
+        }
+        peopleEl.replaceChildren(...entries);
     }
 
     setDebugMode(enabled) {
         this.debugEnabled = enabled;
+        for (const tracker of this.personTrackers.values()) tracker.debugEnabled = enabled;
     }
 
-    setCallbacks({ onLeftHand, onRightHand, onHandsLost }) {
+    setCallbacks({ onLeftHand, onRightHand, onHandsLost, onBothHands, onPersonLost, personLabel }) {
         this.onLeftHand = onLeftHand || null;
         this.onRightHand = onRightHand || null;
         this.onHandsLost = onHandsLost || null;
+        this.onBothHands = onBothHands || null;
+        this.onPersonLost = onPersonLost || null;
+        this.personLabel = personLabel || defaultPersonLabel;
     }
 }
 
@@ -0,0 +1,195 @@
+/* ============================================
+   TerraHold — Hand Identity (ES Module)
+
+   Sits between the backend and HandTracker and
+   turns per-frame detections into tracked hands:
+   ─ Stable ids: each detection is matched to the
+     track whose predicted palm (position +
+     velocity) is nearest
+   ─ Handedness vote: MediaPipe's per-frame label
+     flickers, so each track's label is the
+     score-weighted majority over VOTE_WINDOW_MS
+   ─ Dropouts: a track missing for up to
+     MAX_MISSED_FRAMES keeps coasting along its
+     velocity instead of vanishing
+   Output keeps the legacy results shape (labels
+   replaced by the vote, score = vote confidence)
+   plus a parallel `handIds` array; hands seen
+   this frame come before coasting ones.
+   ============================================ */
+
+const CONFIG = {
+    MATCH_DISTANCE: 0.15,      // Max gap (frame widths) between prediction and detection
+    VELOCITY_SMOOTHING: 0.5,   // EMA factor for the palm velocity
+    MAX_MISSED_FRAMES: 2,      // Frames a hand may vanish before it is dropped
+    VOTE_WINDOW_MS: 600,       // Handedness history per hand
+};
+
+function palmCenter(landmarks) {
+    let x = 0, y = 0;
+    for (const i of [0, 5, 9, 13, 17]) { x += landmarks[i].x; y += landmarks[i].y; }
+    return { x: x / 5, y: y / 5 };
+}
+
+class HandIdentityTracker {
+    constructor() {
+        this.tracks = [];
+        this._nextId = 1;
+        this._lastTime = null;
+    }
+
+    reset() {
+        this.tracks = [];
+        this._lastTime = null;
+    }
+
+    /**
+     * Match this frame's detections to tracked hands (t in ms).
+     * Returns up to `maxHands` hands with voted labels, coasting hands
+     * and `handIds`.
+     */
+    update(results, t, maxHands = Infinity) {
+        const dt = this._lastTime === null ? 0 : Math.max(t - this._lastTime, 1) / 1000;
+        this._lastTime = t;
+
+        const landmarks = results.multiHandLandmarks || [];
+        const detections = landmarks.map((hand, i) => {
+            const handedness = results.multiHandedness && results.multiHandedness[i];
+            return {
+                landmarks: hand,
+                palm: palmCenter(hand),
+                label: handedness ? handedness.label : 'Right',
+                score: handedness && handedness.score !== undefined ? handedness.score : 1,
+                track: null,
+            };
+        });
+
+        // Greedy nearest-first matching against each track's predicted palm
+        const candidates = [];
+        detections.forEach((d) => {
+            for (const track of this.tracks) {
+                const px = track.palm.x + track.velocity.x * dt;
+                const py = track.palm.y + track.velocity.y * dt;
+                const cost = Math.hypot(d.palm.x - px, d.palm.y - py);
+                if (cost <= CONFIG.MATCH_DISTANCE) candidates.push({ d, track, cost });
+            }
+        });
+        candidates.sort((a, b) => a.cost - b.cost);
+
+        const matched = new Set();
+        for (const { d, track } of candidates) {
+            if (d.track || matched.has(track)) continue;
+            d.track = track;
+            matched.add(track);
+        }
+
+        for (const d of detections) {
+            if (d.track) this._observe(d.track, d, t, dt);
+        }
+
+        // Unseen tracks coast along their velocity, then drop out
+        this.tracks = this.tracks.filter((track) => {
+            if (matched.has(track)) return true;
+            track.missed++;
+            if (track.missed > CONFIG.MAX_MISSED_FRAMES) return false;
+            this._coast(track, dt);
+            return true;
+        });
+
+        for (const d of detections) {
+            if (!d.track) this.tracks.push(this._createTrack(d, t));
+        }
+
+        const hands = this.tracks
+            .filter(track => track.missed === 0)
+            .concat(this.tracks.filter(track => track.missed > 0))
+            .slice(0, maxHands);
+
+        return {
+            multiHandLandmarks: hands.map(track => track.landmarks),
+            multiHandedness: hands.map((track, index) => ({
+                index,
+                score: track.confidence,
+                label: track.label,
+            })),
+            handIds: hands.map(track => track.id),
+        };
+    }
+
+    /**
+     * Currently tracked hands: { id, label, confidence, score, palm,
+     * velocity, age (ms), missed (frames, > 0 while coasting) }.
+     */
+    getHands() {
+        return this.tracks.map(track => ({
+            id: track.id,
+            label: track.label,
+            confidence: track.confidence,
+            score: track.score,
+            palm: { ...track.palm },
+            velocity: { ...track.velocity },
+            age: track.lastSeen - track.firstSeen,
+            missed: track.missed,
+        }));
+    }
+
+    _createTrack(d, t) {
+        const track = {
+            id: this._nextId++,
+            landmarks: d.landmarks,
+            palm: d.palm,
+            velocity: { x: 0, y: 0 },
+            votes: [],
+            label: d.label,
+            confidence: d.score,
+            score: d.score,
+            firstSeen: t,
+            lastSeen: t,
+            missed: 0,
+        };
+        this._vote(track, d, t);
+        return track;
+    }
+
+    _observe(track, d, t, dt) {
+        if (dt > 0) {
+            const k = CONFIG.VELOCITY_SMOOTHING;
+            track.velocity.x += ((d.palm.x - track.palm.x) / dt - track.velocity.x) * k;
+            track.velocity.y += ((d.palm.y - track.palm.y) / dt - track.velocity.y) * k;
+        }
+        track.landmarks = d.landmarks;
+        track.palm = d.palm;
+        track.score = d.score;
+        track.lastSeen = t;
+        track.missed = 0;
+        this._vote(track, d, t);
+    }
+
+    // Score-weighted majority over the recent labels
+    _vote(track, d, t) {
+        track.votes.push({ label: d.label, score: d.score, t });
+        while (track.votes.length && t - track.votes[0].t > CONFIG.VOTE_WINDOW_MS) track.votes.shift();
+
+        let right = 0, total = 0;
+        for (const vote of track.votes) {
+            if (vote.label === 'Right') right += vote.score;
+            total += vote.score;
+        }
+        if (total === 0) return;
+
+        const share = right / total;
+        // A tie keeps the current label
+        if (share !== 0.5) track.label = share > 0.5 ? 'Right' : 'Left';
+        track.confidence = track.label === 'Right' ? share : 1 - share;
+    }
+
+    // Shift the last landmarks along the palm velocity
+    _coast(track, dt) {
+        const dx = track.velocity.x * dt;
+        const dy = track.velocity.y * dt;
+        track.landmarks = track.landmarks.map(p => ({ x: p.x + dx, y: p.y + dy, z: p.z }));
+        track.palm = { x: track.palm.x + dx, y: track.palm.y + dy };
+    }
+}
+
+export default HandIdentityTracker;
@@ -0,0 +1,165 @@
+/* ============================================
+   TerraHold — Globe Interaction State (ES Module)
+
+   One state machine per globe decides when it
+   shows, hides and brakes:
+
+     hidden ─▶ appearing ─▶ held ◀─▶ braking
+       ▲                     │ ▲       │
+       │                     ▼ │       │
+       │                    thrown     │
+       │                     │         │
+       └──── withdrawing ◀───┴─────────┘
+   ─ hold: hidden/withdrawing → appearing, which
+     becomes held once the globe has faded in
+   ─ brake gesture: → braking (spin stops); let go
+     for BRAKE_GRACE_MS → held
+   ─ release / hands lost for the grace time →
+     withdrawing → hidden once faded out
+   ─ flick: held/braking → thrown (the globe flies
+     on its own); catch → held, or withdrawing
+     after THROWN_TIMEOUT_MS uncaught
+
+   Hand handlers only report what the hands say
+   (hold / release / lose); a missed detection
+   or two inside the grace time changes nothing.
+   Earth fades and scales in and out; the state
+   follows its visibility.
+   ============================================ */
+
+const CONFIG = {
+    HIDE_GRACE_MS: 150,    // Deliberate release (e.g. fist, anchor hand only) before withdrawing
+    LOST_GRACE_MS: 400,    // No hands in frame at all before withdrawing
+    BRAKE_GRACE_MS: 100,   // Brake gesture released before spinning freely again
+    THROWN_TIMEOUT_MS: 8000, // A thrown globe nobody catches withdraws after this
+};
+
+export const STATES = ['hidden', 'appearing', 'held', 'braking', 'thrown', 'withdrawing'];
+
+class GlobeStateMachine {
+    constructor(earth, config = {}) {
+        this.earth = earth;
+        this.config = { ...CONFIG, ...config };
+        this.state = 'hidden';
+        this.enteredAt = 0;
+
+        this._releaseAt = null;      // Withdraw when the clock passes this (ms)
+        this._brakeReleaseAt = null; // Leave braking when the clock passes this (ms)
+
+        this.onStateChange = null;   // (state, previous)
+    }
+
+    /**
+     * The hands are holding the globe up; `brake` while the brake
+     * gesture is held (stops the spin at once).
+     */
+    hold({ brake = false } = {}, now = performance.now()) {
+        if (this.state === 'thrown') return; // Only catch() takes it back
+        this._releaseAt = null;
+
+        if (this.state === 'hidden' || this.state === 'withdrawing') this._enter('appearing', now);
+
+        if (brake) {
+            this._brakeReleaseAt = null;
+            if (this.state !== 'braking') this._enter('braking', now);
+            this.earth.stopRotation();
+        } else if (this.state === 'braking' && this._brakeReleaseAt === null) {
+            this._brakeReleaseAt = now + this.config.BRAKE_GRACE_MS;
+        }
+    }
+
+    // The hands let go of the globe: withdraw unless they hold it again within `grace` ms
+    release(grace = this.config.HIDE_GRACE_MS, now = performance.now()) {
+        if (!this.isHeld()) return;
+        const at = now + grace;
+        if (this._releaseAt === null || at < this._releaseAt) this._releaseAt = at;
+    }
+
+    // No hands in frame at all
+    lose(now = performance.now()) {
+        this.release(this.config.LOST_GRACE_MS, now);
+    }
+
+    /**
+     * Let go of a held globe with a velocity (world units/s);
+     * it flies until catch() or THROWN_TIMEOUT_MS.
+     */
+    throw(velocity, now = performance.now()) {
+        if (!this.isHeld()) return false;
+        this._releaseAt = null;
+        this._enter('thrown', now);
+        this.earth.throw(velocity);
+        return true;
+    }
+
+    // A hand got under the thrown globe
+    catch(now = performance.now()) {
+        if (this.state !== 'thrown') return;
+        this.earth.catch();
+        this._enter('held', now);
+    }
+
+    // Withdraw straight away (e.g. hand roles changed)
+    reset(now = performance.now()) {
+        this._releaseAt = null;
+        if (this.state !== 'hidden' && this.state !== 'withdrawing') this._enter('withdrawing', now);
+    }
+
+    // Grace timers and fade-driven transitions; call once per frame
+    update(now = performance.now()) {
+        if (this._releaseAt !== null && now >= this._releaseAt) {
+            this._releaseAt = null;
+            this._enter('withdrawing', now);
+        }
+
+        if (this.state === 'braking' && this._brakeReleaseAt !== null && now >= this._brakeReleaseAt) {
+            this._enter('held', now);
+        }
+
+        if (this.state === 'thrown' && now - this.enteredAt >= this.config.THROWN_TIMEOUT_MS) {
+            this._enter('withdrawing', now);
+        }
+
+        const visibility = this.earth.getVisibility();
+        if (this.state === 'appearing' && visibility >= 1) this._enter('held', now);
+        if (this.state === 'withdrawing' && visibility <= 0) this._enter('hidden', now);
+    }
+
+    isShown() {
+        return this.state !== 'hidden' && this.state !== 'withdrawing';
+    }
+
+    // In the hands (appearing, held or braking): can be released or thrown
+    isHeld() {
+        return this.isShown() && this.state !== 'thrown';
+    }
+
+    _enter(state, now) {
+        const previous = this.state;
+        this.state = state;
+        this.enteredAt = now;
+        this._brakeReleaseAt = null;
+
+        switch (state) {
+            case 'appearing':
+                this.earth.setVisible(true);
+                break;
+            case 'held':
+                this.earth.stopBraking(); // Normal physics (auto-rotate, low friction)
+                break;
+            case 'braking':
+                this.earth.startBraking(); // High friction keeps auto-rotate paused
+                break;
+            case 'withdrawing':
+                this.earth.catch(); // Stop any flight where it is
+                // Rotation is NOT stopped: it keeps spinning when the hands return
+                this.earth.setVisible(false);
+                this.earth.stopBraking();
+                break;
+        }
+
+        if (this.onStateChange) this.onStateChange(state, previous);
+    }
+}
+
+export default GlobeStateMachine;
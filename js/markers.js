@@ -0,0 +1,210 @@
+/* ============================================
+   TerraHold — Marker & Label Layer (ES Module)
+
+   Pins with text labels placed by lat/lon.
+   The layer's group is a child of the Earth
+   model, so markers rotate and scale with the
+   planet; markers on the far side are hidden.
+   Pins belong to Earth: on other bodies the
+   layer is detached (kept, but not shown).
+   ============================================ */
+
+import * as THREE from 'three';
+
+const CONFIG = {
+    PIN_RADIUS: 0.018,      // Fraction of the globe radius (size = 1)
+    PIN_ALTITUDE: 0.005,    // Lift pins just off the surface
+    LABEL_HEIGHT: 0.06,     // Label height as a fraction of the globe radius
+    LABEL_FONT_PX: 48,      // Canvas resolution of label text
+    LIMB_THRESHOLD: 0.05,   // Hide slightly before the horizon (avoids edge flicker)
+    DEFAULT_COLOR: '#ff5252',
+};
+
+let nextMarkerId = 1;
+
+function createLabelSprite(text, color) {
+    const font = `600 ${CONFIG.LABEL_FONT_PX}px Inter, sans-serif`;
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = font;
+    const padding = CONFIG.LABEL_FONT_PX * 0.3;
+    canvas.width = Math.ceil(ctx.measureText(text).width + padding * 2);
+    canvas.height = Math.ceil(CONFIG.LABEL_FONT_PX * 1.4);
+
+    // Glass pill background, same look as the HUD
+    ctx.fillStyle = 'rgba(10, 14, 23, 0.65)';
+    ctx.beginPath();
+    ctx.roundRect(0, 0, canvas.width, canvas.height, canvas.height / 2);
+    ctx.fill();
+
+    ctx.font = font;
+    ctx.fillStyle = color;
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, padding, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+        map: texture,
+        transparent: true,
+        depthWrite: false,
+    }));
+    sprite.userData.aspect = canvas.width / canvas.height;
+    return sprite;
+}
+
+class MarkerLayer {
+    constructor(earth) {
+        this.earth = earth;
+        this.group = new THREE.Group();
+        this.markers = new Map(); // id → marker
+        this._tmpPos = new THREE.Vector3();
+        this._tmpCenter = new THREE.Vector3();
+    }
+
+    // Called once the Earth model exists
+    attach(model) {
+        model.add(this.group);
+        // Markers added before the model loaded get their positions now
+        for (const marker of this.markers.values()) this._place(marker);
+    }
+
+    // Body without pins (or model being replaced)
+    detach() {
+        if (this.group.parent) this.group.parent.remove(this.group);
+    }
+
+    get attached() {
+        return this.group.parent !== null;
+    }
+
+    /**
+     * Add a pin. Returns its id.
+     * { lat, lon, label?, color?, size? (1 = default), data? }
+     */
+    add({ lat, lon, label = '', color = CONFIG.DEFAULT_COLOR, size = 1, data = null }) {
+        const pin = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 12, 12),
+            new THREE.MeshBasicMaterial({ color })
+        );
+
+        const marker = { id: nextMarkerId++, lat, lon, label, color, size, data, pin, sprite: null };
+        this.group.add(pin);
+
+        if (label) {
+            marker.sprite = createLabelSprite(label, color);
+            this.group.add(marker.sprite);
+        }
+
+        this.markers.set(marker.id, marker);
+        if (this.earth.model) this._place(marker);
+        return marker.id;
+    }
+
+    remove(id) {
+        const marker = this.markers.get(id);
+        if (!marker) return false;
+
+        this.group.remove(marker.pin);
+        marker.pin.geometry.dispose();
+        marker.pin.material.dispose();
+        if (marker.sprite) {
+            this.group.remove(marker.sprite);
+            marker.sprite.material.map.dispose();
+            marker.sprite.material.dispose();
+        }
+        this.markers.delete(id);
+        return true;
+    }
+
+    clear() {
+        for (const id of [...this.markers.keys()]) this.remove(id);
+    }
+
+    get(id) {
+        return this.markers.get(id) || null;
+    }
+
+    list() {
+        return [...this.markers.values()];
+    }
+
+    // Closest marker to (lat, lon) within maxDegrees of arc, or null
+    nearest(lat, lon, maxDegrees = 5) {
+        if (!this.attached) return null;
+        const toRad = Math.PI / 180;
+        let best = null;
+        let bestAngle = maxDegrees * toRad;
+
+        for (const marker of this.markers.values()) {
+            // Great-circle angle (spherical law of cosines)
+            const cos = Math.sin(lat * toRad) * Math.sin(marker.lat * toRad) +
+                Math.cos(lat * toRad) * Math.cos(marker.lat * toRad) * Math.cos((lon - marker.lon) * toRad);
+            const angle = Math.acos(Math.max(-1, Math.min(1, cos)));
+            if (angle <= bestAngle) {
+                best = marker;
+                bestAngle = angle;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Load pins from a GeoJSON FeatureCollection of Point features.
+     * Feature properties: name (label), color, size.
+     */
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Failed to load markers: ${response.status}`);
+        const geojson = await response.json();
+
+        const ids = [];
+        for (const feature of geojson.features || []) {
+            if (!feature.geometry || feature.geometry.type !== 'Point') continue;
+            const [lon, lat] = feature.geometry.coordinates; // GeoJSON order
+            const props = feature.properties || {};
+            ids.push(this.add({
+                lat,
+                lon,
+                label: props.name || '',
+                color: props.color || CONFIG.DEFAULT_COLOR,
+                size: props.size || 1,
+                data: props,
+            }));
+        }
+        console.log(`📍 Loaded ${ids.length} markers from ${url}`);
+        return ids;
+    }
+
+    // Hide markers on the far side of the planet (camera looks down -Z)
+    update() {
+        if (!this.earth.model || !this.attached || this.markers.size === 0) return;
+
+        this.earth.model.updateWorldMatrix(true, true);
+        this.earth.model.localToWorld(this._tmpCenter.copy(this.earth.localCenter));
+
+        for (const marker of this.markers.values()) {
+            marker.pin.getWorldPosition(this._tmpPos).sub(this._tmpCenter).normalize();
+            const facing = this._tmpPos.z > CONFIG.LIMB_THRESHOLD;
+
+            marker.pin.visible = facing;
+            if (marker.sprite) marker.sprite.visible = facing;
+        }
+    }
+
+    _place(marker) {
+        const r = this.earth.localRadius;
+        this.earth.latLonToLocal(marker.lat, marker.lon, CONFIG.PIN_ALTITUDE, marker.pin.position);
+        marker.pin.scale.setScalar(r * CONFIG.PIN_RADIUS * marker.size);
+
+        if (marker.sprite) {
+            // Label floats just outside the pin, along the surface normal
+            this.earth.latLonToLocal(marker.lat, marker.lon, CONFIG.PIN_ALTITUDE + CONFIG.LABEL_HEIGHT, marker.sprite.position);
+            marker.sprite.center.set(0.5, 0);
+            const h = r * CONFIG.LABEL_HEIGHT;
+            marker.sprite.scale.set(h * marker.sprite.userData.aspect, h, 1);
+        }
+    }
+}
+
+export default MarkerLayer;
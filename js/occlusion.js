@@ -0,0 +1,149 @@
+/* ============================================
+   TerraHold — Hand Occlusion (ES Module)
+
+   Depth-only hand silhouettes rebuilt every
+   frame from the 21 landmarks: a capsule per
+   bone plus the palm polygon. Drawn after the
+   video and before the globe, they write depth
+   but no colour, so wherever a finger is in
+   front of the planet the globe is cut away and
+   the webcam image (the real finger) shows.
+   One mask per hand key ('left', 'right', or
+   per person in multi-user mode), created on
+   first use.
+   ============================================ */
+
+import * as THREE from 'three';
+
+const CONFIG = {
+    FINGER_RADIUS: 0.17,     // Capsule radius as a share of the knuckle width (5 → 17)
+    JOINT_SEGMENTS: 10,      // Disc resolution at each landmark
+    STALE_MS: 120,           // Hide a hand's mask if it wasn't updated this long
+};
+
+// Same bones as the skeleton overlay in app.js
+export const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4],         // Thumb
+    [0, 5], [5, 6], [6, 7], [7, 8],         // Index
+    [0, 9], [9, 10], [10, 11], [11, 12],    // Middle
+    [0, 13], [13, 14], [14, 15], [15, 16],  // Ring
+    [0, 17], [17, 18], [18, 19], [19, 20],  // Pinky
+    [5, 9], [9, 13], [13, 17],              // Palm
+];
+
+// Palm outline, in order around the hand
+const PALM_OUTLINE = [0, 1, 5, 9, 13, 17];
+
+const VERTS_PER_BONE = 6;                           // Quad
+const VERTS_PER_JOINT = CONFIG.JOINT_SEGMENTS * 3;  // Triangle fan
+const VERTEX_COUNT = HAND_CONNECTIONS.length * VERTS_PER_BONE +
+    21 * VERTS_PER_JOINT + PALM_OUTLINE.length * 3;
+
+class HandOccluder {
+    constructor(scene) {
+        this.scene = scene;
+        this.enabled = true;
+        this.showMask = false; // Debug: paint the mask instead of hiding it
+
+        // Opaque on purpose: transparent objects render after the globe
+        this.material = new THREE.MeshBasicMaterial({
+            color: 0xff00ff,
+            colorWrite: false,
+            side: THREE.DoubleSide,
+        });
+
+        this.meshes = {};
+        this._lastUpdate = {};
+    }
+
+    _mesh(hand) {
+        if (this.meshes[hand]) return this.meshes[hand];
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(VERTEX_COUNT * 3), 3));
+        const mesh = new THREE.Mesh(geometry, this.material);
+        mesh.renderOrder = -0.5; // After the video plane (-1), before the globe (0)
+        mesh.frustumCulled = false;
+        mesh.visible = false;
+        this.scene.add(mesh);
+        this.meshes[hand] = mesh;
+        this._lastUpdate[hand] = -Infinity;
+        return mesh;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.clear();
+    }
+
+    setShowMask(show) {
+        this.showMask = show;
+        this.material.colorWrite = show;
+        this.material.needsUpdate = true;
+    }
+
+    // Hide every mask, or only the given hands' masks
+    clear(hands = Object.keys(this.meshes)) {
+        for (const hand of hands) {
+            if (this.meshes[hand]) this.meshes[hand].visible = false;
+        }
+    }
+
+    /**
+     * Rebuild a hand's mask from its 21 landmarks in world space
+     * ({ x, y, z } each, z towards the camera).
+     */
+    update(hand, points, now = performance.now()) {
+        if (!this.enabled) return;
+        const mesh = this._mesh(hand);
+        const position = mesh.geometry.attributes.position;
+        const radius = Math.hypot(points[5].x - points[17].x, points[5].y - points[17].y) * CONFIG.FINGER_RADIUS;
+
+        let v = 0;
+        const put = (x, y, z) => position.setXYZ(v++, x, y, z);
+
+        // Bones: quads as wide as a finger, following the landmarks' depth
+        for (const [i, j] of HAND_CONNECTIONS) {
+            const a = points[i];
+            const b = points[j];
+            const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+            const nx = -(b.y - a.y) / len * radius;
+            const ny = (b.x - a.x) / len * radius;
+            put(a.x + nx, a.y + ny, a.z); put(a.x - nx, a.y - ny, a.z); put(b.x + nx, b.y + ny, b.z);
+            put(b.x + nx, b.y + ny, b.z); put(a.x - nx, a.y - ny, a.z); put(b.x - nx, b.y - ny, b.z);
+        }
+
+        // Joints: round caps turn the quads into capsules
+        const step = 2 * Math.PI / CONFIG.JOINT_SEGMENTS;
+        for (const p of points) {
+            for (let s = 0; s < CONFIG.JOINT_SEGMENTS; s++) {
+                put(p.x, p.y, p.z);
+                put(p.x + Math.cos(s * step) * radius, p.y + Math.sin(s * step) * radius, p.z);
+                put(p.x + Math.cos((s + 1) * step) * radius, p.y + Math.sin((s + 1) * step) * radius, p.z);
+            }
+        }
+
+        // Palm: fan from its centre
+        let cx = 0, cy = 0, cz = 0;
+        for (const i of PALM_OUTLINE) { cx += points[i].x; cy += points[i].y; cz += points[i].z; }
+        cx /= PALM_OUTLINE.length; cy /= PALM_OUTLINE.length; cz /= PALM_OUTLINE.length;
+        PALM_OUTLINE.forEach((i, n) => {
+            const a = points[i];
+            const b = points[PALM_OUTLINE[(n + 1) % PALM_OUTLINE.length]];
+            put(cx, cy, cz); put(a.x, a.y, a.z); put(b.x, b.y, b.z);
+        });
+
+        position.needsUpdate = true;
+        mesh.visible = true;
+        this._lastUpdate[hand] = now;
+    }
+
+    // Hide masks of hands that have left the frame
+    expire(now = performance.now()) {
+        for (const hand of Object.keys(this.meshes)) {
+            if (now - this._lastUpdate[hand] > CONFIG.STALE_MS) this.meshes[hand].visible = false;
+        }
+    }
+}
+
+export default HandOccluder;
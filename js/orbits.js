@@ -0,0 +1,285 @@
+/* ============================================
+   TerraHold — Orbital Layer (ES Module)
+
+   A Moon on its real (low-precision) orbit at
+   a scaled distance, and TLE satellites drawn
+   as dots with trails. Everything lives in an
+   inertial frame attached to the Earth model
+   and turned by sidereal time, so satellites
+   pass over the right ground while the globe
+   sits on the palm. The layer keeps its own
+   clock so it can run faster than real time.
+   ============================================ */
+
+import * as THREE from 'three';
+import { toJulianDate, getGMST } from './sun.js';
+import { parseTLE, propagate, orbitalPeriod, EARTH_RADIUS_KM } from './tle.js';
+import { BODIES } from './bodies.js';
+
+const CONFIG = {
+    MOON_DISTANCE: 4,          // Earth radii (really ~60; scaled to fit the view)
+    MOON_RADIUS: 0.273,        // Earth radii (true ratio)
+    SATELLITE_SIZE: 5,         // px
+    SATELLITE_COLOR: 0xffd54f,
+    TRAIL_SAMPLES: 64,
+    TRAIL_FRACTION: 0.35,      // Trail covers this share of an orbit behind the satellite
+    MAX_TRAILS: 24,            // Large catalogues: dots only beyond this
+    TRAIL_OPACITY: 0.45,
+};
+
+const DEG2RAD = Math.PI / 180;
+const J2000 = 2451545.0;
+
+/**
+ * Geocentric Moon direction and distance (Astronomical Almanac low-
+ * precision series, ~0.3°). Returns equatorial { ra, dec } in radians
+ * and the distance in Earth radii.
+ */
+export function getMoonPosition(date = new Date()) {
+    const T = (toJulianDate(date) - J2000) / 36525;
+    const sin = (deg) => Math.sin(deg * DEG2RAD);
+    const cos = (deg) => Math.cos(deg * DEG2RAD);
+
+    // Ecliptic longitude / latitude and horizontal parallax (degrees)
+    const lambda = 218.32 + 481267.881 * T
+        + 6.29 * sin(135.0 + 477198.87 * T) - 1.27 * sin(259.3 - 413335.36 * T)
+        + 0.66 * sin(235.7 + 890534.22 * T) + 0.21 * sin(269.9 + 954397.74 * T)
+        - 0.19 * sin(357.5 + 35999.05 * T) - 0.11 * sin(186.5 + 966404.03 * T);
+    const beta = 5.13 * sin(93.3 + 483202.02 * T) + 0.28 * sin(228.2 + 960400.89 * T)
+        - 0.28 * sin(318.3 + 6003.15 * T) - 0.17 * sin(217.6 - 407332.21 * T);
+    const parallax = 0.9508 + 0.0518 * cos(135.0 + 477198.87 * T)
+        + 0.0095 * cos(259.3 - 413335.36 * T) + 0.0078 * cos(235.7 + 890534.22 * T)
+        + 0.0028 * cos(269.9 + 954397.74 * T);
+
+    // Ecliptic → equatorial
+    const l = cos(beta) * cos(lambda);
+    const m = cos(beta) * sin(lambda);
+    const n = sin(beta);
+    const epsilon = 23.439 - 0.013 * T;
+    const y = cos(epsilon) * m - sin(epsilon) * n;
+    const z = sin(epsilon) * m + cos(epsilon) * n;
+
+    return {
+        ra: Math.atan2(y, l),
+        dec: Math.asin(z),
+        distance: 1 / sin(parallax),
+    };
+}
+
+class OrbitLayer {
+    constructor(earth) {
+        this.earth = earth;
+        this.enabled = false;
+        this.showMoon = true;
+        this.timeScale = 1;
+
+        // Layer clock (ms since epoch), advanced by timeScale × real time
+        this.simTime = Date.now();
+        this._lastNow = null;
+
+        // Inertial frame: x → RA 0h, z → north, mapped onto the model's axes
+        this.frame = new THREE.Group();
+        this.frame.visible = false;
+
+        this.satellites = [];   // { name, elements, period, trail }
+        this.points = null;     // One Points object for all satellites
+        this.moon = null;
+        this._tmp = { x: 0, y: 0, z: 0 };
+    }
+
+    // Called with the Earth model once loaded (Earth only)
+    attach(model) {
+        model.add(this.frame);
+        this.frame.position.copy(this.earth.localCenter);
+        this.frame.visible = this.enabled;
+        if (!this.moon) this._createMoon();
+        this._rebuildSatellites();
+    }
+
+    detach() {
+        if (this.frame.parent) this.frame.parent.remove(this.frame);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.frame.visible = enabled;
+        this._lastNow = null;
+    }
+
+    setShowMoon(show) {
+        this.showMoon = show;
+        if (this.moon) this.moon.visible = show;
+    }
+
+    // 1 = real time, 600 = ten minutes per second
+    setTimeScale(scale) {
+        this.timeScale = scale;
+    }
+
+    setTime(date = new Date()) {
+        this.simTime = date.getTime();
+    }
+
+    getTime() {
+        return new Date(this.simTime);
+    }
+
+    /**
+     * Add satellites from TLE text. Returns how many were added.
+     */
+    addTLE(text) {
+        const elements = parseTLE(text);
+        for (const sat of elements) {
+            this.satellites.push({ name: sat.name, elements: sat, period: orbitalPeriod(sat), trail: null });
+        }
+        this._rebuildSatellites();
+        console.log(`🛰️ Loaded ${elements.length} satellites`);
+        return elements.length;
+    }
+
+    async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Failed to load TLEs: ${response.status}`);
+        return this.addTLE(await response.text());
+    }
+
+    async loadFile(file) {
+        return this.addTLE(await file.text());
+    }
+
+    clearSatellites() {
+        this.satellites = [];
+        this._rebuildSatellites();
+    }
+
+    update(now = performance.now()) {
+        if (this._lastNow !== null) this.simTime += (now - this._lastNow) * this.timeScale;
+        this._lastNow = now;
+        if (!this.enabled || !this.frame.parent) return;
+
+        const date = new Date(this.simTime);
+
+        // RA α sits at model azimuth α + prime meridian − GMST
+        this.frame.rotation.y = this.earth.body.primeMeridianAzimuth - getGMST(date) * DEG2RAD;
+
+        if (this.moon && this.showMoon) {
+            const { ra, dec } = getMoonPosition(date);
+            const r = CONFIG.MOON_DISTANCE * this.earth.localRadius;
+            this._setFramePosition(
+                this.moon.position,
+                Math.cos(dec) * Math.cos(ra) * r,
+                Math.cos(dec) * Math.sin(ra) * r,
+                Math.sin(dec) * r
+            );
+        }
+
+        if (this.points) this._updateSatellites(date);
+    }
+
+    // Inertial (x, y, z) → frame axes: north up (+Y), RA 0h at azimuth 0
+    _setFramePosition(target, x, y, z) {
+        return target.set(y, z, x);
+    }
+
+    _kmToLocal(target, p) {
+        const k = this.earth.localRadius / EARTH_RADIUS_KM;
+        return this._setFramePosition(target, p.x * k, p.y * k, p.z * k);
+    }
+
+    _updateSatellites(date) {
+        const positions = this.points.geometry.attributes.position;
+        const v = new THREE.Vector3();
+
+        this.satellites.forEach((sat, i) => {
+            const p = propagate(sat.elements, date, this._tmp);
+            if (p) this._kmToLocal(v, p);
+            else v.setScalar(0); // Decayed: hide inside the planet
+            positions.setXYZ(i, v.x, v.y, v.z);
+
+            if (!sat.trail) return;
+            const trail = sat.trail.geometry.attributes.position;
+            const span = sat.period * 60000 * CONFIG.TRAIL_FRACTION;
+            for (let s = 0; s < CONFIG.TRAIL_SAMPLES; s++) {
+                const t = this.simTime - span * (1 - s / (CONFIG.TRAIL_SAMPLES - 1));
+                const q = propagate(sat.elements, new Date(t), this._tmp);
+                if (q) this._kmToLocal(v, q);
+                trail.setXYZ(s, v.x, v.y, v.z);
+            }
+            trail.needsUpdate = true;
+        });
+        positions.needsUpdate = true;
+    }
+
+    _createMoon() {
+        const r = CONFIG.MOON_RADIUS * this.earth.localRadius;
+        const material = new THREE.MeshStandardMaterial({
+            color: BODIES.moon.color,
+            roughness: BODIES.moon.roughness,
+            metalness: 0.0,
+        });
+        // Same optional texture as the holdable Moon; flat colour without it
+        new THREE.TextureLoader().load(BODIES.moon.texture, (map) => {
+            map.colorSpace = THREE.SRGBColorSpace;
+            material.map = map;
+            material.color.set(0xffffff);
+            material.needsUpdate = true;
+        }, undefined, () => {});
+
+        this.moon = new THREE.Mesh(new THREE.SphereGeometry(r, 32, 24), material);
+        this.moon.visible = this.showMoon;
+        this.frame.add(this.moon);
+    }
+
+    _rebuildSatellites() {
+        if (this.points) {
+            this.frame.remove(this.points);
+            this.points.geometry.dispose();
+            this.points.material.dispose();
+            this.points = null;
+        }
+        for (const sat of this.satellites) {
+            if (!sat.trail) continue;
+            this.frame.remove(sat.trail);
+            sat.trail.geometry.dispose();
+            sat.trail.material.dispose();
+            sat.trail = null;
+        }
+        if (this.satellites.length === 0) return;
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.satellites.length * 3), 3));
+        this.points = new THREE.Points(geometry, new THREE.PointsMaterial({
+            color: CONFIG.SATELLITE_COLOR,
+            size: CONFIG.SATELLITE_SIZE,
+            sizeAttenuation: false,
+        }));
+        this.points.frustumCulled = false; // Positions change every frame
+        this.frame.add(this.points);
+
+        this.satellites.slice(0, CONFIG.MAX_TRAILS).forEach((sat) => {
+            const trailGeometry = new THREE.BufferGeometry();
+            trailGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(CONFIG.TRAIL_SAMPLES * 3), 3));
+
+            // Fade the tail out towards the oldest sample
+            const colors = new Float32Array(CONFIG.TRAIL_SAMPLES * 3);
+            const color = new THREE.Color(CONFIG.SATELLITE_COLOR);
+            for (let s = 0; s < CONFIG.TRAIL_SAMPLES; s++) {
+                const k = s / (CONFIG.TRAIL_SAMPLES - 1);
+                colors.set([color.r * k, color.g * k, color.b * k], s * 3);
+            }
+            trailGeometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+
+            sat.trail = new THREE.Line(trailGeometry, new THREE.LineBasicMaterial({
+                vertexColors: true,
+                transparent: true,
+                opacity: CONFIG.TRAIL_OPACITY,
+                blending: THREE.AdditiveBlending,
+                depthWrite: false,
+            }));
+            sat.trail.frustumCulled = false;
+            this.frame.add(sat.trail);
+        });
+    }
+}
+
+export default OrbitLayer;
@@ -0,0 +1,174 @@
+/* ============================================
+   TerraHold — People Tracking (ES Module)
+
+   Groups the hands MediaPipe reports into
+   people, so several visitors can each hold
+   their own globe:
+   ─ Temporal identity: a hand keeps its person
+     if it is near where that person's hand was
+     in the previous frames
+   ─ Spatial clustering: new hands pair up with
+     a nearby hand of the other side (the user's
+     left hand is at larger x in the raw image)
+   ─ A person with no hands for LOST_MS is gone
+   Each person's hands come out in the legacy
+   results shape, labelled by slot, ready for a
+   per-person HandTracker.
+   ============================================ */
+
+const CONFIG = {
+    MATCH_DISTANCE: 0.2,    // Max palm travel (frame widths) to keep a hand's person
+    SIDE_PENALTY: 0.05,     // Extra cost to match a hand to the other side's slot
+    PAIR_DISTANCE: 0.45,    // Max palm gap for two new hands to be one person
+    PAIR_SLACK: 0.05,       // Crossed arms: how far a left hand may sit right of its partner
+    LOST_MS: 600,           // A person without hands for this long has left
+};
+
+const SIDES = ['left', 'right'];
+
+// Legacy convention: the "Right" label is the user's left hand (mirrored model)
+const LABEL_FOR_SIDE = { left: 'Right', right: 'Left' };
+
+function palmCenter(landmarks) {
+    let x = 0, y = 0;
+    for (const i of [0, 5, 9, 13, 17]) { x += landmarks[i].x; y += landmarks[i].y; }
+    return { x: x / 5, y: y / 5 };
+}
+
+function distance(a, b) {
+    return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Could `left` and `right` palms belong to one person facing the camera?
+function canPair(left, right) {
+    return distance(left, right) <= CONFIG.PAIR_DISTANCE && left.x >= right.x - CONFIG.PAIR_SLACK;
+}
+
+class PeopleTracker {
+    constructor() {
+        this.maxPeople = 2;
+        this.people = [];   // { id, slots: { left, right }, lastSeen }; slot = { palm, present }
+        this._nextId = 0;
+    }
+
+    setMaxPeople(count) {
+        this.maxPeople = count;
+        this.reset();
+    }
+
+    reset() {
+        this.people = [];
+    }
+
+    /**
+     * Assign this frame's hands to people.
+     * Returns { active: [{ id, results }], lost: [id] }, active sorted by id.
+     */
+    update(results, now = performance.now()) {
+        const landmarks = results.multiHandLandmarks || [];
+        const detections = landmarks.map((hand, i) => {
+            const label = results.multiHandedness && results.multiHandedness[i]
+                ? results.multiHandedness[i].label : 'Right';
+            const id = results.handIds ? results.handIds[i] : undefined;
+            return { landmarks: hand, id, palm: palmCenter(hand), side: label === 'Right' ? 'left' : 'right', person: null };
+        });
+
+        for (const person of this.people) {
+            for (const side of SIDES) if (person.slots[side]) person.slots[side].present = false;
+        }
+
+        this._matchKnownHands(detections);
+        this._joinPartners(detections);
+        this._createPeople(detections, now);
+
+        // Results per person, and departures
+        const active = [];
+        const lost = [];
+        this.people = this.people.filter((person) => {
+            const hands = detections.filter(d => d.person === person);
+            if (hands.length) person.lastSeen = now;
+            if (now - person.lastSeen > CONFIG.LOST_MS) {
+                lost.push(person.id);
+                return false;
+            }
+            active.push({
+                id: person.id,
+                results: {
+                    multiHandLandmarks: hands.map(d => d.landmarks),
+                    multiHandedness: hands.map((d, index) => ({ index, score: 1, label: LABEL_FOR_SIDE[d.slot] })),
+                    handIds: hands.map(d => d.id),
+                },
+            });
+            return true;
+        });
+
+        active.sort((a, b) => a.id - b.id);
+        return { active, lost };
+    }
+
+    // Temporal identity: greedy nearest match of hands to known slots
+    _matchKnownHands(detections) {
+        const candidates = [];
+        detections.forEach((d) => {
+            for (const person of this.people) {
+                for (const side of SIDES) {
+                    const slot = person.slots[side];
+                    if (!slot) continue;
+                    const cost = distance(d.palm, slot.palm) + (side === d.side ? 0 : CONFIG.SIDE_PENALTY);
+                    if (cost <= CONFIG.MATCH_DISTANCE) candidates.push({ d, person, side, cost });
+                }
+            }
+        });
+
+        candidates.sort((a, b) => a.cost - b.cost);
+        for (const { d, person, side } of candidates) {
+            if (d.person || person.slots[side].present) continue;
+            this._assign(d, person, side);
+        }
+    }
+
+    // New hands join a person whose other hand is in frame and close by
+    _joinPartners(detections) {
+        for (const d of detections) {
+            if (d.person) continue;
+            const other = d.side === 'left' ? 'right' : 'left';
+            const partner = this.people.find((person) => {
+                const mine = person.slots[d.side];
+                const theirs = person.slots[other];
+                if ((mine && mine.present) || !theirs || !theirs.present) return false;
+                return d.side === 'left' ? canPair(d.palm, theirs.palm) : canPair(theirs.palm, d.palm);
+            });
+            if (partner) this._assign(d, partner, d.side);
+        }
+    }
+
+    // Remaining hands: pair left with right where plausible, else one person each
+    _createPeople(detections, now) {
+        const free = detections.filter(d => !d.person);
+        for (const d of free) {
+            if (d.person) continue;
+            if (this.people.length >= this.maxPeople) break;
+
+            const person = { id: this._nextId++, slots: { left: null, right: null }, lastSeen: now };
+            this.people.push(person);
+            this._assign(d, person, d.side);
+
+            const other = d.side === 'left' ? 'right' : 'left';
+            let best = null;
+            for (const e of free) {
+                if (e.person || e.side !== other) continue;
+                const ok = d.side === 'left' ? canPair(d.palm, e.palm) : canPair(e.palm, d.palm);
+                if (ok && (!best || distance(d.palm, e.palm) < distance(d.palm, best.palm))) best = e;
+            }
+            if (best) this._assign(best, person, other);
+        }
+    }
+
+    _assign(detection, person, side) {
+        detection.person = person;
+        detection.slot = side;
+        person.slots[side] = { palm: detection.palm, present: true };
+    }
+}
+
+export default PeopleTracker;
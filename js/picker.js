@@ -0,0 +1,156 @@
+/* ============================================
+   TerraHold — Globe Picker (ES Module)
+
+   Point at the globe with the index fingertip
+   (landmark 8) to aim a reticle at the surface.
+   "Click" with a short pinch or by holding still
+   (dwell). Emits the picked lat/lon and the
+   nearest marker, if any.
+   ============================================ */
+
+import * as THREE from 'three';
+
+const CONFIG = {
+    RETICLE_RADIUS: 14,       // px (orthographic camera: 1 unit = 1 px)
+    DWELL_MS: 1200,           // Hold still this long to click
+    DWELL_RADIUS: 18,         // px of fingertip wobble allowed while dwelling
+    PINCH_LOOKBACK_MS: 150,   // Pinching drags the fingertip: click where it aimed before
+    COOLDOWN_MS: 600,         // Minimum time between clicks
+    MARKER_SNAP_DEG: 5,       // Nearest marker search radius
+};
+
+class GlobePicker {
+    constructor(earth, camera, scene) {
+        this.earth = earth;
+        this.camera = camera;
+        this.enabled = false;
+
+        this.raycaster = new THREE.Raycaster();
+        this.hit = null;           // Current surface hit
+        this._history = [];        // Recent { time, hit } for pinch lookback
+        this._dwellStart = null;
+        this._dwellAnchor = null;  // Screen position the dwell started at
+        this._lastClick = -Infinity;
+
+        this.onPick = null;
+
+        this.reticle = this._createReticle();
+        scene.add(this.reticle);
+    }
+
+    _createReticle() {
+        const group = new THREE.Group();
+        const material = new THREE.MeshBasicMaterial({
+            color: 0x00e676,
+            transparent: true,
+            opacity: 0.9,
+            depthTest: false,
+            side: THREE.DoubleSide,
+        });
+
+        const ring = new THREE.Mesh(
+            new THREE.RingGeometry(CONFIG.RETICLE_RADIUS * 0.8, CONFIG.RETICLE_RADIUS, 32),
+            material
+        );
+        // Dwell progress: disc grows to fill the ring
+        const fill = new THREE.Mesh(new THREE.CircleGeometry(CONFIG.RETICLE_RADIUS * 0.7, 32), material.clone());
+        fill.material.opacity = 0.5;
+        fill.scale.setScalar(0.001);
+
+        group.add(ring, fill);
+        group.renderOrder = 10;
+        ring.renderOrder = 10;
+        fill.renderOrder = 10;
+        group.visible = false;
+        group.userData.fill = fill;
+        return group;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.clear();
+    }
+
+    // Hand lost / not pointing
+    clear() {
+        this.hit = null;
+        this._history = [];
+        this._dwellStart = null;
+        this.reticle.visible = false;
+    }
+
+    /**
+     * Aim from a fingertip in screen space (px, origin at centre, y up —
+     * the same space updateSkeleton draws in).
+     */
+    update(screenX, screenY, now = performance.now()) {
+        if (!this.enabled) return;
+
+        const ndc = new THREE.Vector2(
+            screenX / (window.innerWidth / 2),
+            screenY / (window.innerHeight / 2)
+        );
+        this.raycaster.setFromCamera(ndc, this.camera);
+        this.hit = this.earth.pick(this.raycaster);
+
+        this._history.push({ time: now, hit: this.hit });
+        while (this._history.length && now - this._history[0].time > CONFIG.PINCH_LOOKBACK_MS) {
+            this._history.shift();
+        }
+
+        if (!this.hit) {
+            this.reticle.visible = false;
+            this._dwellStart = null;
+            return;
+        }
+
+        // Reticle lies flat on the surface, lifted slightly towards the camera
+        this.reticle.visible = true;
+        this.reticle.position.copy(this.hit.point).addScaledVector(this.hit.normal, 2);
+        this.reticle.lookAt(this.reticle.position.clone().add(this.hit.normal));
+
+        this._updateDwell(screenX, screenY, now);
+    }
+
+    _updateDwell(x, y, now) {
+        const fill = this.reticle.userData.fill;
+
+        if (now - this._lastClick < CONFIG.COOLDOWN_MS) {
+            fill.scale.setScalar(0.001);
+            return;
+        }
+
+        const moved = this._dwellAnchor &&
+            Math.hypot(x - this._dwellAnchor.x, y - this._dwellAnchor.y) > CONFIG.DWELL_RADIUS;
+        if (this._dwellStart === null || moved) {
+            this._dwellStart = now;
+            this._dwellAnchor = { x, y };
+        }
+
+        const progress = Math.min(1, (now - this._dwellStart) / CONFIG.DWELL_MS);
+        fill.scale.setScalar(Math.max(0.001, progress));
+
+        if (progress >= 1) this._click(this.hit, now);
+    }
+
+    // Pinch "click": use where the finger aimed just before the pinch moved it
+    click(now = performance.now()) {
+        if (!this.enabled || now - this._lastClick < CONFIG.COOLDOWN_MS) return;
+        const aimed = this._history.find(h => h.hit) || null;
+        if (aimed) this._click(aimed.hit, now);
+    }
+
+    _click(hit, now) {
+        this._lastClick = now;
+        this._dwellStart = null;
+        this._dwellAnchor = null;
+        this.reticle.userData.fill.scale.setScalar(0.001);
+
+        const marker = this.earth.markers.nearest(hit.lat, hit.lon, CONFIG.MARKER_SNAP_DEG);
+        const pick = { lat: hit.lat, lon: hit.lon, marker };
+        console.log(`📍 Picked ${hit.lat.toFixed(2)}, ${hit.lon.toFixed(2)}${marker && marker.label ? ` (${marker.label})` : ''}`);
+        if (this.onPick) this.onPick(pick);
+    }
+}
+
+export default GlobePicker;
@@ -0,0 +1,211 @@
+/* ============================================
+   TerraHold — Landmark Recording & Replay (ES Module)
+
+   Records the raw MediaPipe results stream
+   (multiHandLandmarks + multiHandedness) into a
+   timestamped JSON file, and replays it back into
+   HandTracker._processResults at the original
+   timing. No webcam or DOM required for replay.
+   ============================================ */
+
+import { downloadBlob } from './capture.js';
+
+const CONFIG = {
+    FORMAT_VERSION: 1,
+    MAX_FRAMES: 36000,       // ~20 min at 30 FPS, keeps memory bounded
+    REWIND_GAP_MS: 1000,     // Emitted time jumps ahead this far when playback restarts
+};
+
+// Deep-copy only what _processResults reads (MediaPipe reuses its objects)
+function cloneResults(results) {
+    const landmarks = (results.multiHandLandmarks || []).map(hand =>
+        hand.map(p => ({ x: p.x, y: p.y, z: p.z }))
+    );
+    const handedness = (results.multiHandedness || []).map(h => ({
+        index: h.index,
+        score: h.score,
+        label: h.label,
+    }));
+    return { multiHandLandmarks: landmarks, multiHandedness: handedness };
+}
+
+// ============================================
+// Recorder
+// ============================================
+export class LandmarkRecorder {
+    constructor() {
+        this.frames = [];
+        this.isRecording = false;
+        this._startTime = 0;
+        this.onAutoStop = null; // Called when MAX_FRAMES ends the recording
+    }
+
+    start(now = performance.now()) {
+        this.frames = [];
+        this._startTime = now;
+        this.isRecording = true;
+        console.log('⏺️ Landmark recording started');
+    }
+
+    stop() {
+        this.isRecording = false;
+        console.log(`⏹️ Landmark recording stopped (${this.frames.length} frames)`);
+        return this.toJSON();
+    }
+
+    record(results, now = performance.now()) {
+        if (!this.isRecording) return;
+        if (this.frames.length >= CONFIG.MAX_FRAMES) {
+            console.warn('⚠️ Recording limit reached, stopping.');
+            this.stop();
+            if (this.onAutoStop) this.onAutoStop();
+            return;
+        }
+        this.frames.push({
+            t: Math.round(now - this._startTime),
+            ...cloneResults(results),
+        });
+    }
+
+    toJSON() {
+        return {
+            version: CONFIG.FORMAT_VERSION,
+            createdAt: new Date().toISOString(),
+            frames: this.frames,
+        };
+    }
+
+    download(filename = `terrahold-landmarks-${Date.now()}.json`) {
+        downloadBlob(new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' }), filename);
+    }
+}
+
+// ============================================
+// Replay Source
+// ============================================
+export class LandmarkReplay {
+    constructor() {
+        this.frames = [];
+        this.cursor = 0;          // Index of the next frame to emit
+        this.isPlaying = false;
+        this.loop = false;
+
+        this._clock = 0;          // Playback time in recording ms
+        this._lastNow = null;
+        this._timeBase = 0;       // Added to frame.t so emitted times never run backwards
+        this._lastT = null;       // Last emitted time
+
+        this.onResults = null;
+        this.onEnded = null;
+    }
+
+    static async fromURL(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Failed to load replay: ${response.status}`);
+        const replay = new LandmarkReplay();
+        replay.load(await response.json());
+        return replay;
+    }
+
+    static async fromFile(file) {
+        const replay = new LandmarkReplay();
+        replay.load(JSON.parse(await file.text()));
+        return replay;
+    }
+
+    load(data) {
+        if (!data || !Array.isArray(data.frames)) {
+            throw new Error('Invalid replay file: missing "frames"');
+        }
+        if (data.version !== CONFIG.FORMAT_VERSION) {
+            console.warn(`⚠️ Replay version ${data.version}, expected ${CONFIG.FORMAT_VERSION}`);
+        }
+        this.frames = data.frames;
+        this._timeBase = 0;
+        this._lastT = null;
+        this.rewind();
+        console.log(`📼 Replay loaded (${this.frames.length} frames, ${this.duration} ms)`);
+    }
+
+    get duration() {
+        return this.frames.length ? this.frames[this.frames.length - 1].t : 0;
+    }
+
+    play() {
+        if (!this.frames.length) return;
+        if (this.cursor >= this.frames.length) this.rewind();
+        this.isPlaying = true;
+        this._lastNow = null;
+    }
+
+    pause() {
+        this.isPlaying = false;
+    }
+
+    togglePlay() {
+        if (this.isPlaying) this.pause();
+        else this.play();
+    }
+
+    rewind() {
+        this.cursor = 0;
+        this._clock = 0;
+        this._lastNow = null;
+        // Loops and restarts continue the timeline, like a hand leaving and coming back
+        if (this._lastT !== null) this._timeBase = this._lastT + CONFIG.REWIND_GAP_MS;
+    }
+
+    setLoop(enabled) {
+        this.loop = enabled;
+    }
+
+    // Emit exactly one frame and pause (frame-by-frame debugging)
+    step() {
+        if (!this.frames.length) return;
+        this.pause();
+        if (this.cursor >= this.frames.length) {
+            if (!this.loop) return;
+            this.rewind();
+        }
+        const frame = this.frames[this.cursor++];
+        this._clock = frame.t;
+        this._emit(frame);
+    }
+
+    // Advance playback to the given wall-clock time, emitting every frame
+    // whose timestamp has been reached. Call once per render frame.
+    tick(now = performance.now()) {
+        if (!this.isPlaying) return;
+
+        if (this._lastNow !== null) this._clock += now - this._lastNow;
+        this._lastNow = now;
+
+        while (this.cursor < this.frames.length && this.frames[this.cursor].t <= this._clock) {
+            this._emit(this.frames[this.cursor++]);
+        }
+
+        if (this.cursor >= this.frames.length) {
+            if (this.loop && this.frames.length) {
+                this.rewind();
+                this._lastNow = now;
+            } else {
+                this.pause();
+                if (this.onEnded) this.onEnded();
+            }
+        }
+    }
+
+    // Results carry the recorded time `t` (ms): filters and velocities see
+    // the original frame spacing however fast the frames are emitted
+    _emit(frame) {
+        const t = this._timeBase + frame.t;
+        this._lastT = t;
+        if (this.onResults) {
+            this.onResults({
+                multiHandLandmarks: frame.multiHandLandmarks,
+                multiHandedness: frame.multiHandedness,
+                t,
+            });
+        }
+    }
+}
@@ -0,0 +1,205 @@
+/* ============================================
+   TerraHold — Sky Layers (ES Module)
+
+   ─ Cloud shell: procedural fbm clouds on a
+     sphere just above the surface, drifting
+     independently of the planet's rotation
+   ─ Atmosphere: limb glow that follows the Sun
+     (bright on the day side, sunset tint at the
+     terminator, faint on the night side)
+   Both read Earth's shared uSunDirView uniform;
+   each body opts in via its descriptor.
+   ============================================ */
+
+import * as THREE from 'three';
+
+const CONFIG = {
+    CLOUD_ALTITUDE: 0.012,     // Fraction of the globe radius
+    CLOUD_DRIFT: 0.048,        // rad/s, relative to the surface
+    CLOUD_COVERAGE: 0.55,      // 0 = clear sky, 1 = overcast
+    ATMOSPHERE_SCALE: 1.15,
+};
+
+// Quality presets: clouds (noise octaves / mesh detail) and atmosphere on/off
+export const SKY_QUALITY = {
+    off: { atmosphere: false, clouds: false },
+    low: { atmosphere: true, clouds: false, segments: 48 },
+    medium: { atmosphere: true, clouds: true, octaves: 3, segments: 48 },
+    high: { atmosphere: true, clouds: true, octaves: 5, segments: 96 },
+};
+
+const NOISE_GLSL = `
+    float hash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+    }
+
+    float noise(vec3 x) {
+        vec3 i = floor(x);
+        vec3 f = fract(x);
+        f = f * f * (3.0 - 2.0 * f);
+        return mix(
+            mix(mix(hash(i + vec3(0, 0, 0)), hash(i + vec3(1, 0, 0)), f.x),
+                mix(hash(i + vec3(0, 1, 0)), hash(i + vec3(1, 1, 0)), f.x), f.y),
+            mix(mix(hash(i + vec3(0, 0, 1)), hash(i + vec3(1, 0, 1)), f.x),
+                mix(hash(i + vec3(0, 1, 1)), hash(i + vec3(1, 1, 1)), f.x), f.y),
+            f.z);
+    }
+
+    float fbm(vec3 p) {
+        float value = 0.0;
+        float amplitude = 0.5;
+        for (int i = 0; i < OCTAVES; i++) {
+            value += amplitude * noise(p);
+            p *= 2.03;
+            amplitude *= 0.5;
+        }
+        return value;
+    }
+`;
+
+class Sky {
+    constructor(earth) {
+        this.earth = earth;
+        this.quality = 'medium';
+        this.cloudDrift = CONFIG.CLOUD_DRIFT;
+
+        this.clouds = null;
+        this.atmosphere = null;
+    }
+
+    // (Re)build the layers for a quality preset. Needs the loaded model.
+    build(quality = this.quality) {
+        if (!SKY_QUALITY[quality]) quality = 'medium';
+        this.quality = quality;
+        this.dispose();
+        if (!this.earth.model) return;
+
+        const preset = SKY_QUALITY[quality];
+        const body = this.earth.body;
+        if (preset.clouds && body.clouds) this._createClouds(preset);
+        if (preset.atmosphere && body.atmosphere) this._createAtmosphere(preset, body.atmosphere);
+    }
+
+    setCloudDrift(speed) {
+        this.cloudDrift = speed;
+    }
+
+    update(dt) {
+        // Clouds spin about the planet's own axis, on top of the surface rotation
+        if (this.clouds) this.clouds.rotation.y += this.cloudDrift * dt;
+    }
+
+    dispose() {
+        for (const mesh of [this.clouds, this.atmosphere]) {
+            if (!mesh) continue;
+            mesh.parent.remove(mesh);
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        }
+        this.clouds = null;
+        this.atmosphere = null;
+    }
+
+    // Child of the model: inherits tilt/roll/spin, so it stays concentric
+    _createClouds({ octaves, segments }) {
+        const radius = this.earth.localRadius * (1 + CONFIG.CLOUD_ALTITUDE);
+
+        const material = new THREE.ShaderMaterial({
+            defines: { OCTAVES: octaves },
+            uniforms: {
+                uSunDirView: this.earth.dayNightUniforms.uSunDirView,
+                uCoverage: { value: CONFIG.CLOUD_COVERAGE },
+                uFade: this.earth.fadeUniform,
+            },
+            vertexShader: `
+                varying vec3 vPos;
+                varying vec3 vNormal;
+                void main() {
+                    vPos = normalize(position);
+                    vNormal = normalize(normalMatrix * normal);
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 uSunDirView;
+                uniform float uCoverage;
+                uniform float uFade;
+                varying vec3 vPos;
+                varying vec3 vNormal;
+                ${NOISE_GLSL}
+                void main() {
+                    // Stretch east-west for banded, wind-swept shapes
+                    vec3 p = vPos * vec3(3.0, 5.0, 3.0);
+                    float density = fbm(p + fbm(p * 0.5));
+                    float alpha = smoothstep(1.0 - uCoverage, 1.05 - uCoverage * 0.5, density);
+
+                    // Lit by the Sun; night-side clouds fade to a faint grey
+                    float light = smoothstep(-0.15, 0.3, dot(vNormal, uSunDirView));
+                    vec3 color = vec3(mix(0.06, 1.0, light));
+                    gl_FragColor = vec4(color, alpha * 0.85 * uFade);
+                }
+            `,
+            transparent: true,
+            depthWrite: false,
+        });
+
+        this.clouds = new THREE.Mesh(new THREE.SphereGeometry(radius, segments, segments), material);
+        this.clouds.position.copy(this.earth.localCenter);
+        this.clouds.renderOrder = 1;
+        this.earth.model.add(this.clouds);
+    }
+
+    // Child of the group: the glow is view-dependent, not tied to the surface
+    _createAtmosphere({ segments }, { color }) {
+        const radius = (this.earth.localRadius * this.earth.model.scale.x) * CONFIG.ATMOSPHERE_SCALE;
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: {
+                uSunDirView: this.earth.dayNightUniforms.uSunDirView,
+                uDayColor: { value: new THREE.Color(...color) },
+                uSunsetColor: { value: new THREE.Color(1.0, 0.45, 0.15) },
+                uNightColor: { value: new THREE.Color(0.05, 0.1, 0.3) },
+                uFade: this.earth.fadeUniform,
+            },
+            vertexShader: `
+                varying vec3 vNormal;
+                void main() {
+                    vNormal = normalize(normalMatrix * normal);
+                    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec3 uSunDirView;
+                uniform vec3 uDayColor;
+                uniform vec3 uSunsetColor;
+                uniform vec3 uNightColor;
+                uniform float uFade;
+                varying vec3 vNormal;
+                void main() {
+                    // Rim: thicker air along longer sight lines near the limb
+                    float rim = pow(0.6 - dot(vNormal, vec3(0.0, 0.0, 1.0)), 3.0);
+
+                    // Which side of the terminator this part of the limb is on
+                    float sunDot = dot(vNormal, uSunDirView);
+                    float day = smoothstep(-0.25, 0.4, sunDot);
+                    float sunset = exp(-pow(sunDot / 0.18, 2.0));
+
+                    vec3 color = mix(uNightColor, uDayColor, day) + uSunsetColor * sunset * 0.8;
+                    float strength = 0.25 + 0.75 * day + 0.5 * sunset;
+                    gl_FragColor = vec4(color, 0.8) * rim * strength * uFade;
+                }
+            `,
+            blending: THREE.AdditiveBlending,
+            side: THREE.BackSide,
+            transparent: true,
+            depthWrite: false,
+        });
+
+        this.atmosphere = new THREE.Mesh(new THREE.SphereGeometry(radius, segments, segments), material);
+        this.earth.group.add(this.atmosphere);
+    }
+}
+
+export default Sky;
@@ -0,0 +1,56 @@
+/* ============================================
+   TerraHold — Sun Position (ES Module)
+
+   Subsolar point (where the Sun is directly
+   overhead) for a UTC date, using the low-
+   precision solar coordinates from the
+   Astronomical Almanac (~0.01° accuracy,
+   plenty for lighting a hand-held globe).
+   ============================================ */
+
+const DEG2RAD = Math.PI / 180;
+const RAD2DEG = 180 / Math.PI;
+
+const J2000 = 2451545.0;          // Julian date of 2000-01-01 12:00 UTC
+const UNIX_EPOCH_JD = 2440587.5;  // Julian date of 1970-01-01 00:00 UTC
+
+function wrapDegrees(deg) {
+    return ((deg + 180) % 360 + 360) % 360 - 180;
+}
+
+export function toJulianDate(date) {
+    return date.getTime() / 86400000 + UNIX_EPOCH_JD;
+}
+
+/**
+ * Greenwich mean sidereal time at `date`, in degrees (unwrapped).
+ * Rotates inertial (RA) longitudes onto Earth-fixed ones: lon = RA − GMST.
+ */
+export function getGMST(date = new Date()) {
+    const n = toJulianDate(date) - J2000;
+    return 280.46061837 + 360.98564736629 * n;
+}
+
+/**
+ * Latitude/longitude (degrees) of the subsolar point at `date`.
+ */
+export function getSubsolarPoint(date = new Date()) {
+    const n = toJulianDate(date) - J2000;
+
+    // Mean longitude and mean anomaly of the Sun
+    const L = 280.460 + 0.9856474 * n;
+    const g = (357.528 + 0.9856003 * n) * DEG2RAD;
+
+    // Ecliptic longitude and obliquity of the ecliptic
+    const lambda = (L + 1.915 * Math.sin(g) + 0.020 * Math.sin(2 * g)) * DEG2RAD;
+    const epsilon = (23.439 - 0.0000004 * n) * DEG2RAD;
+
+    // Equatorial coordinates
+    const declination = Math.asin(Math.sin(epsilon) * Math.sin(lambda));
+    const rightAscension = Math.atan2(Math.cos(epsilon) * Math.sin(lambda), Math.cos(lambda));
+
+    return {
+        lat: declination * RAD2DEG,
+        lon: wrapDegrees(rightAscension * RAD2DEG - getGMST(date)),
+    };
+}
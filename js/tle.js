@@ -0,0 +1,164 @@
+/* ============================================
+   TerraHold — TLE Satellite Propagation (ES Module)
+
+   Parses NORAD two-line element sets and
+   propagates them with an SGP-style model:
+   Kozai → Brouwer mean motion, secular J2
+   drift of the node / perigee / mean anomaly,
+   and drag from the TLE's mean-motion
+   derivatives. Good to a few tens of km near
+   epoch — plenty for dots on a hand-held globe,
+   not for pointing an antenna.
+   ============================================ */
+
+// WGS-72 constants (the ones TLEs are fitted with)
+const EARTH_RADIUS_KM = 6378.135;
+const MU = 398600.8;                // km³/s²
+const J2 = 0.001082616;
+const XKE = 60 / Math.sqrt(EARTH_RADIUS_KM ** 3 / MU); // √μ in Earth radii³/min²
+
+const DEG2RAD = Math.PI / 180;
+const TWO_PI = 2 * Math.PI;
+const MINUTES_PER_DAY = 1440;
+
+// Line checksum: digits summed, '-' counts as 1, modulo 10
+function checksum(line) {
+    let sum = 0;
+    for (const ch of line.slice(0, 68)) {
+        if (ch >= '0' && ch <= '9') sum += +ch;
+        else if (ch === '-') sum += 1;
+    }
+    return sum % 10;
+}
+
+// "12345-3" → 0.12345e-3 (implied leading decimal point)
+function parseExponent(field) {
+    const s = field.trim();
+    if (!s) return 0;
+    const match = s.match(/^([+-]?)(\d+)([+-]\d)$/);
+    if (!match) return parseFloat(s) || 0;
+    return parseFloat(`${match[1]}0.${match[2]}e${match[3]}`);
+}
+
+function parseEpoch(field) {
+    const yy = parseInt(field.slice(0, 2), 10);
+    const day = parseFloat(field.slice(2));
+    const year = yy < 57 ? 2000 + yy : 1900 + yy;
+    return new Date(Date.UTC(year, 0, 1) + (day - 1) * 86400000);
+}
+
+/**
+ * Parse TLE text (2-line or 3-line with names) into element sets.
+ * Lines with a bad checksum or layout are skipped with a warning.
+ */
+export function parseTLE(text) {
+    const lines = text.split(/\r?\n/).map(l => l.trimEnd()).filter(l => l.trim());
+    const satellites = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        if (!lines[i].startsWith('1 ') || !lines[i + 1] || !lines[i + 1].startsWith('2 ')) continue;
+        const line1 = lines[i];
+        const line2 = lines[i + 1];
+        const name = i > 0 && !/^[12] /.test(lines[i - 1]) ? lines[i - 1].replace(/^0 /, '').trim() : '';
+        i++;
+
+        if (line1.length < 69 || line2.length < 69 ||
+            checksum(line1) !== +line1[68] || checksum(line2) !== +line2[68]) {
+            console.warn(`⚠️ Skipping malformed TLE${name ? ` (${name})` : ''}`);
+            continue;
+        }
+
+        const satnum = line1.slice(2, 7).trim();
+        satellites.push({
+            name: name || satnum,
+            satnum,
+            epoch: parseEpoch(line1.slice(18, 32)),
+            ndot: parseFloat(line1.slice(33, 43)),       // ṅ/2, rev/day²
+            nddot: parseExponent(line1.slice(44, 52)),   // n̈/6, rev/day³
+            bstar: parseExponent(line1.slice(53, 61)),
+            inclination: parseFloat(line2.slice(8, 16)) * DEG2RAD,
+            raan: parseFloat(line2.slice(17, 25)) * DEG2RAD,
+            eccentricity: parseFloat(`0.${line2.slice(26, 33).trim()}`),
+            argPerigee: parseFloat(line2.slice(34, 42)) * DEG2RAD,
+            meanAnomaly: parseFloat(line2.slice(43, 51)) * DEG2RAD,
+            meanMotion: parseFloat(line2.slice(52, 63)),  // rev/day
+        });
+    }
+    return satellites;
+}
+
+// Orbital period in minutes
+export function orbitalPeriod(sat) {
+    return MINUTES_PER_DAY / sat.meanMotion;
+}
+
+/**
+ * Inertial (TEME ≈ equator-of-date) position in km at `date`,
+ * or null if the orbit has decayed into the Earth.
+ */
+export function propagate(sat, date, target = { x: 0, y: 0, z: 0 }) {
+    const t = (date.getTime() - sat.epoch.getTime()) / 60000; // minutes since epoch
+    const { inclination: i0, eccentricity: e0 } = sat;
+
+    // Recover the Brouwer mean motion / semi-major axis from the Kozai mean motion
+    const n0 = sat.meanMotion * TWO_PI / MINUTES_PER_DAY; // rad/min
+    const cosi = Math.cos(i0);
+    const theta2 = cosi * cosi;
+    const x3thm1 = 3 * theta2 - 1;
+    const beta0sq = 1 - e0 * e0;
+    const beta0 = Math.sqrt(beta0sq);
+
+    const a1 = Math.pow(XKE / n0, 2 / 3);
+    const d1 = 0.75 * J2 * x3thm1 / (a1 * a1 * beta0 * beta0sq);
+    const ao = a1 * (1 - d1 / 3 - d1 * d1 - 134 / 81 * d1 * d1 * d1);
+    const d0 = 0.75 * J2 * x3thm1 / (ao * ao * beta0 * beta0sq);
+    const n0dd = n0 / (1 + d0);
+    const a0dd = ao / (1 - d0);
+
+    // Secular J2 rates (rad/min)
+    const p = a0dd * beta0sq;
+    const k = 1.5 * J2 * n0dd / (p * p);
+    const raanDot = -k * cosi;
+    const argpDot = 0.5 * k * (5 * theta2 - 1);
+    const meanAnomalyDot = n0dd + 0.5 * k * beta0 * x3thm1;
+
+    // Drag from the mean-motion derivatives (rev/day² → rad/min²)
+    const ndot = sat.ndot * TWO_PI / (MINUTES_PER_DAY ** 2);
+    const nddot = sat.nddot * TWO_PI / (MINUTES_PER_DAY ** 3);
+    const n = n0dd + 2 * ndot * t + 3 * nddot * t * t;
+    if (n <= 0) return null;
+
+    const a = a0dd * Math.pow(n0dd / n, 2 / 3);
+    const e = Math.max(1e-6, Math.min(0.999, e0 - 2 * (1 - e0) * ndot * t / (3 * n0dd)));
+    if (a * (1 - e) < 1) return null; // Perigee below the surface
+
+    const raan = sat.raan + raanDot * t;
+    const argp = sat.argPerigee + argpDot * t;
+    const M = (sat.meanAnomaly + meanAnomalyDot * t + ndot * t * t + nddot * t * t * t) % TWO_PI;
+
+    // Kepler's equation (Newton–Raphson)
+    let E = M;
+    for (let iter = 0; iter < 10; iter++) {
+        const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        E -= dE;
+        if (Math.abs(dE) < 1e-10) break;
+    }
+
+    // Perifocal → inertial (rotate by argument of perigee, inclination, node)
+    const xp = a * (Math.cos(E) - e);
+    const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    const cosO = Math.cos(raan), sinO = Math.sin(raan);
+    const cosw = Math.cos(argp), sinw = Math.sin(argp);
+    const sini = Math.sin(i0);
+
+    const xw = xp * cosw - yp * sinw;
+    const yw = xp * sinw + yp * cosw;
+
+    target.x = (xw * cosO - yw * cosi * sinO) * EARTH_RADIUS_KM;
+    target.y = (xw * sinO + yw * cosi * cosO) * EARTH_RADIUS_KM;
+    target.z = (yw * sini) * EARTH_RADIUS_KM;
+    return target;
+}
+
+export { EARTH_RADIUS_KM };
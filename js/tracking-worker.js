@@ -0,0 +1,53 @@
+/* ============================================
+   TerraHold — Hand Tracking Worker (module worker)
+
+   Runs a worker-safe backend (backends.js) off
+   the render thread. The page transfers one
+   ImageBitmap per video frame; the worker
+   answers with the landmarks (plain data, no
+   image) and the frame's send time so the page
+   can measure latency. One frame is in flight
+   at a time. An 'options' message changes how
+   many hands the backend looks for.
+   A frame that fails answers 'frameError' (the
+   page drops it); 'error' means init or options
+   failed and the worker is unusable.
+   ============================================ */
+
+import { createBackend } from './backends.js';
+
+let backend = null;
+
+async function track({ bitmap, sentAt }) {
+    let results;
+    try {
+        results = await backend.detect(bitmap, sentAt);
+    } catch (err) {
+        self.postMessage({ type: 'frameError', sentAt, message: errorMessage(err) });
+        return;
+    } finally {
+        bitmap.close();
+    }
+    self.postMessage({ type: 'results', sentAt, ...results });
+}
+
+function errorMessage(err) {
+    return err && err.message ? err.message : String(err);
+}
+
+self.onmessage = async (e) => {
+    const msg = e.data;
+    try {
+        if (msg.type === 'init') {
+            backend = createBackend(msg.backend, { numHands: msg.numHands });
+            await backend.init();
+            self.postMessage({ type: 'ready' });
+        } else if (msg.type === 'frame') {
+            await track(msg);
+        } else if (msg.type === 'options') {
+            await backend.setNumHands(msg.numHands);
+        }
+    } catch (err) {
+        self.postMessage({ type: 'error', message: errorMessage(err) });
+    }
+};
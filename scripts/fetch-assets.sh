@@ -0,0 +1,46 @@
+#!/bin/sh
+# TerraHold — fetch the assets that are not in the repository
+#
+# ─ Hand tracking (offline / kiosk): the pinned MediaPipe Tasks bundle,
+#   its wasm and the HandLandmarker model, where js/backends.js and
+#   sw.js expect them
+# ─ Moon & Mars surface maps (js/bodies.js): 2k equirectangular
+#   textures from Solar System Scope (CC BY 4.0)
+# Existing files are kept; pass --force to download them again.
+# Run from anywhere: paths are relative to the repository root.
+
+set -eu
+
+TASKS_VERSION=0.10.14
+TASKS_URL="https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@$TASKS_VERSION"
+MODEL_URL="https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task"
+TEXTURES_URL="https://www.solarsystemscope.com/textures/download"
+
+cd "$(dirname "$0")/.."
+
+FORCE=0
+[ "${1:-}" = "--force" ] && FORCE=1
+
+fetch() { # <url> <file>
+    if [ -s "$2" ] && [ "$FORCE" = 0 ]; then
+        echo "✔ $2"
+        return
+    fi
+    mkdir -p "$(dirname "$2")"
+    echo "⬇ $2"
+    # Write to a temporary file so a failed download leaves nothing behind
+    curl -fsSL -o "$2.part" "$1"
+    mv "$2.part" "$2"
+}
+
+fetch "$TASKS_URL/vision_bundle.mjs" vendor/tasks-vision/vision_bundle.mjs
+for f in vision_wasm_internal vision_wasm_nosimd_internal; do
+    fetch "$TASKS_URL/wasm/$f.js" "vendor/tasks-vision/wasm/$f.js"
+    fetch "$TASKS_URL/wasm/$f.wasm" "vendor/tasks-vision/wasm/$f.wasm"
+done
+fetch "$MODEL_URL" models/hand_landmarker.task
+
+fetch "$TEXTURES_URL/2k_moon.jpg" moon/texture.jpg
+fetch "$TEXTURES_URL/2k_mars.jpg" mars/texture.jpg
+
+echo "✅ Assets ready — reload the app online once so the service worker caches them"
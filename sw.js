@@ -0,0 +1,135 @@
+/* ============================================
+   TerraHold — Service Worker
+
+   Precaches everything the app needs so it runs
+   with no network (exhibition kiosks):
+   ─ APP_SHELL must all cache or the install
+     fails (and the old version keeps serving)
+   ─ OPTIONAL_ASSETS are cached when present
+     (textures, self-hosted tracking model)
+   Same-origin requests are served from the
+   cache and refreshed in the background; other
+   origins (fonts, legacy CDN) go to the network
+   first and fall back to a cached copy.
+   Bump CACHE_VERSION when the shell changes.
+   ============================================ */
+
+const CACHE_VERSION = 'terrahold-v7';
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/style.css',
+    'js/app.js',
+    'js/backends.js',
+    'js/bindings.js',
+    'js/bodies.js',
+    'js/capture.js',
+    'js/earth.js',
+    'js/filters.js',
+    'js/gestures.js',
+    'js/hands.js',
+    'js/identity.js',
+    'js/interaction.js',
+    'js/markers.js',
+    'js/occlusion.js',
+    'js/orbits.js',
+    'js/people.js',
+    'js/picker.js',
+    'js/replay.js',
+    'js/sky.js',
+    'js/sun.js',
+    'js/tle.js',
+    'js/tracking-worker.js',
+    'vendor/three/build/three.module.min.js',
+    'vendor/three/examples/jsm/loaders/GLTFLoader.js',
+    'vendor/three/examples/jsm/utils/BufferGeometryUtils.js',
+    'earth/scene.gltf',
+    'earth/scene.bin',
+    'earth/markers.geojson',
+    'earth/satellites.tle',
+];
+
+const OPTIONAL_ASSETS = [
+    'earth/textures/Material.002_diffuse.jpeg',
+    'earth/textures/night_lights.jpeg',
+    'moon/texture.jpg',
+    'mars/texture.jpg',
+    'vendor/tasks-vision/vision_bundle.mjs',
+    'vendor/tasks-vision/wasm/vision_wasm_internal.js',
+    'vendor/tasks-vision/wasm/vision_wasm_internal.wasm',
+    'vendor/tasks-vision/wasm/vision_wasm_nosimd_internal.js',
+    'vendor/tasks-vision/wasm/vision_wasm_nosimd_internal.wasm',
+    'models/hand_landmarker.task',
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_VERSION);
+        await cache.addAll(APP_SHELL);
+        await Promise.allSettled(OPTIONAL_ASSETS.map((url) => cache.add(url)));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter((key) => key.startsWith('terrahold-') && key !== CACHE_VERSION)
+            .map((key) => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const sameOrigin = new URL(request.url).origin === self.location.origin;
+    event.respondWith(sameOrigin ? staleWhileRevalidate(event) : networkFirst(request));
+});
+
+async function staleWhileRevalidate(event) {
+    const cache = await caches.open(CACHE_VERSION);
+    const cached = await cache.match(event.request, { ignoreSearch: true });
+    const update = fetch(event.request)
+        .then((response) => {
+            if (response.ok) cache.put(event.request, response.clone());
+            return response;
+        })
+        .catch(() => null);
+
+    if (cached) {
+        event.waitUntil(update);
+        return cached;
+    }
+    return (await update) || Response.error();
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_VERSION);
+    try {
+        const response = await fetch(request);
+        // Opaque (no-cors) responses can't be inspected but are still usable
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+        return response;
+    } catch (err) {
+        return (await cache.match(request)) || Response.error();
+    }
+}
+
+// The page asks which assets made it into the cache (offline indicator)
+self.addEventListener('message', (event) => {
+    if (!event.data || event.data.type !== 'status') return;
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_VERSION);
+        const missing = [];
+        for (const url of [...APP_SHELL, ...OPTIONAL_ASSETS]) {
+            if (!(await cache.match(url))) missing.push(url);
+        }
+        event.source.postMessage({ type: 'status', version: CACHE_VERSION, missing });
+    })());
+});